@@ -1,12 +1,25 @@
+// Long enough for any timestamp a Date can hold
+export const TIMESTAMP_LENGTH = 16
+
 export function createEncoding (options = {}) {
   if (options.ttlEncoding) return options.ttlEncoding
 
   const PATH_SEP = options.separator
   const INITIAL_SEP = options.sub ? '' : PATH_SEP
+  const ESCAPED_SEP = percentEncode(PATH_SEP)
+  const ESCAPES = new RegExp(`%25|${ESCAPED_SEP}`, 'g')
 
   function encodeElement (e) {
-    // transform dates to timestamp strings
-    return String(e instanceof Date ? +e : e)
+    // transform dates to timestamp strings of the same length,
+    // so that they sort like the dates themselves
+    if (e instanceof Date) return String(Math.max(+e, 0)).padStart(TIMESTAMP_LENGTH, '0')
+    return String(e)
+  }
+
+  function encodePathElement (e) {
+    if (e instanceof Date) return encodeElement(e)
+    // keys can't be mistaken for a path once the separator is escaped
+    return encodeElement(e).replace(/%/g, '%25').split(PATH_SEP).join(ESCAPED_SEP)
   }
 
   return {
@@ -14,13 +27,24 @@ export function createEncoding (options = {}) {
     encode: function (e) {
       // TODO: reexamine this with respect to level-sublevel@6's native codecs
       if (Array.isArray(e)) {
-        return Buffer.from(INITIAL_SEP + e.map(encodeElement).join(PATH_SEP))
+        return Buffer.from(INITIAL_SEP + e.map(encodePathElement).join(PATH_SEP))
       }
       return Buffer.from(encodeElement(e))
     },
     decode: function (e) {
-      // TODO: detect and parse ttl records
       return e.toString('utf8')
+    },
+    // Parses an encoded path back into its elements, as strings
+    decodePath: function (e) {
+      const path = e.toString('utf8')
+      if (!path.startsWith(INITIAL_SEP)) return
+      return path.slice(INITIAL_SEP.length).split(PATH_SEP).map(function (element) {
+        return element.replace(ESCAPES, escape => escape === '%25' ? '%' : PATH_SEP)
+      })
     }
   }
 }
+
+function percentEncode (str) {
+  return Array.from(Buffer.from(str), byte => '%' + byte.toString(16).toUpperCase().padStart(2, '0')).join('')
+}
@@ -0,0 +1,90 @@
+// Wraps an abstract-level iterator that yields entries, passing each chunk
+// of them through `filter`, which resolves to the entries to keep. Since the
+// wrapped iterator can't know how many entries will be dropped, the limit is
+// enforced here instead. The wrapped iterator reads raw keys, so seek targets
+// are encoded with `keyEncoding`, a buffer transcoder, unless another key
+// encoding is passed to seek().
+export class FilteredIterator {
+  constructor (iterator, mode, limit, filter, keyEncoding) {
+    this._iterator = iterator
+    this._mode = mode
+    this._limit = Number.isInteger(limit) && limit >= 0 ? limit : Infinity
+    this._count = 0
+    this._filter = filter
+    this._keyEncoding = keyEncoding
+  }
+
+  get db () {
+    return this._iterator.db
+  }
+
+  get count () {
+    return this._count
+  }
+
+  get limit () {
+    return this._limit
+  }
+
+  async next () {
+    const items = await this.nextv(1)
+    return items[0]
+  }
+
+  async nextv (size, options) {
+    size = Math.min(size, this._limit - this._count)
+    if (size <= 0) return []
+
+    let entries
+    while ((entries = await this._iterator.nextv(size, options)).length) {
+      const kept = await this._filter(entries)
+      if (kept.length) {
+        this._count += kept.length
+        return kept.map(formatEntry.bind(null, this._mode))
+      }
+    }
+
+    return []
+  }
+
+  async all (options) {
+    const items = []
+    try {
+      let chunk
+      while ((chunk = await this.nextv(1000, options)).length) {
+        items.push(...chunk)
+      }
+    } finally {
+      await this.close()
+    }
+    return items
+  }
+
+  seek (target, options = {}) {
+    const keyEncoding = options.keyEncoding
+      ? this.db.keyEncoding(options.keyEncoding).createBufferTranscoder()
+      : this._keyEncoding
+    this._iterator.seek(keyEncoding.encode(target), { ...options, keyEncoding: 'buffer' })
+  }
+
+  close () {
+    return this._iterator.close()
+  }
+
+  async * [Symbol.asyncIterator] () {
+    try {
+      let item
+      while ((item = await this.next()) !== undefined) {
+        yield item
+      }
+    } finally {
+      await this.close()
+    }
+  }
+}
+
+function formatEntry (mode, entry) {
+  if (mode === 'keys') return entry[0]
+  if (mode === 'values') return entry[1]
+  return entry
+}
@@ -1,29 +1,102 @@
-import type { AbstractLevel, AbstractPutOptions, AbstractBatchOptions } from 'abstract-level'
+import type { AbstractLevel, AbstractPutOptions, AbstractBatchOptions, AbstractBatchOperation, AbstractIteratorOptions, AbstractKeyIteratorOptions, AbstractValueIteratorOptions, AbstractIterator, AbstractKeyIterator, AbstractValueIterator } from 'abstract-level'
 import type { Encoding } from 'level-transcoder'
+import type { Readable, Writable } from 'stream'
+
+export interface LevelTtlClock {
+  now: () => number
+  setTimeout: (fn: () => void, delay: number) => unknown
+  clearTimeout: (id: unknown) => void
+  setInterval: (fn: () => void, delay: number) => unknown
+  clearInterval: (id: unknown) => void
+}
 
 export interface LevelTtlOptions {
   defaultTTL: number
   checkFrequency: number
+  clock: Partial<LevelTtlClock>
+  scheduling: 'interval' | 'precise'
+  sweeper: boolean | 'auto'
+  sweeperTimeout: number
+  heartbeatNamespace: string
+  sweepBatchSize: number
+  maxExpiriesPerSweep: number
+  sliding: boolean
+  slidingDebounce: number
+  maxEntries: number
+  maxBytes: number
+  evictionPolicy: 'soonest-expiry' | 'lru'
   ttlEncoding?: Encoding
   sub?: AbstractLevel
   namespace: string
   methodPrefix: string
   expiryNamespace: string
+  accessNamespace: string
   separator: string
+  filterExpired: boolean
+  expiredValues: boolean
+  beforeExpire: (<K = string, V = string> (key: K, value: V) => boolean | number | void | Promise<boolean | number | void>) | null
 }
 
 export interface LevelTtlOpsExtraOptions {
   ttl?: number
+  expireAt?: Date | number
+  sliding?: boolean
 }
 
 export interface LevelTtlPutOptions <K, V> extends AbstractPutOptions <K, V>, LevelTtlOpsExtraOptions {}
 
 export interface LevelTtlBatchOptions <K, V> extends AbstractBatchOptions <K, V>, LevelTtlOpsExtraOptions {}
 
-export interface _TTL extends Pick<AbstractLevel, 'put' | 'del' | 'batch' | 'close'> {
+export interface LevelTtlGetOrSetOptions <K, V> extends LevelTtlPutOptions <K, V> {
+  staleWhileRevalidate?: number
+}
+
+export interface LevelTtlRecord <K = string, V = string> {
+  key: K
+  value: V
+  expireAt: number | null
+}
+
+export interface LevelTtlImportOptions <K, V> extends AbstractBatchOptions <K, V> {
+  rebase?: Date | number
+}
+
+export interface LevelTtlIteratorExtraOptions {
+  filterExpired?: boolean
+}
+
+export interface LevelTtlVerifyOptions {
+  fix?: boolean
+  removeMissingData?: boolean
+}
+
+export interface LevelTtlVerifyReport {
+  orphanedExpiryRecords: number
+  outdatedExpiryRecords: number
+  missingExpiryRecords: number
+  missingData: number
+}
+
+export interface LevelTtlStats {
+  trackedKeys: number
+  nextExpiry: Date | undefined
+  lastSweepDuration: number | null
+  lastSweepExpired: number | null
+  totalExpired: number
+  totalEvicted: number
+  totalErrors: number
+}
+
+export interface LevelTtlSweepStats {
+  duration: number
+  expired: number
+}
+
+export interface _TTL extends Pick<AbstractLevel, 'get' | 'getMany' | 'hasMany' | 'iterator' | 'keys' | 'values' | 'put' | 'del' | 'batch' | 'clear' | 'close'> {
   sub?: AbstractLevel
   options: LevelTtlOptions
   encoding: Encoding
+  clock: LevelTtlClock
   _prefixNs: string[]
   _expiryNs: string[]
   _lock: AsyncLock
@@ -31,8 +104,30 @@ export interface _TTL extends Pick<AbstractLevel, 'put' | 'del' | 'batch' | 'clo
 
 declare function LevelTTL <DB extends AbstractLevel> (db: DB, options: Partial<LevelTtlOptions>): DB & {
   put: <K = string, V = string> (key: K, value: V, options: LevelTtlPutOptions) => Promise<void>
-  batch: <K = string, V = string> (operations: Array<AbstractBatchOperation<typeof this, K, V>>, options: LevelTtlBatchOptions) => Promise<void>
-  ttl: <K = string> (key: K, delay: number) => Promise<void>
+  getOrSet: <K = string, V = string> (key: K, loader: (key: K) => V | undefined | Promise<V | undefined>, options?: LevelTtlGetOrSetOptions<K, V>) => Promise<V | undefined>
+  iterator: <K = string, V = string> (options?: AbstractIteratorOptions<K, V> & LevelTtlIteratorExtraOptions) => AbstractIterator<typeof this, K, V>
+  keys: <K = string> (options?: AbstractKeyIteratorOptions<K> & LevelTtlIteratorExtraOptions) => AbstractKeyIterator<typeof this, K>
+  values: <K = string, V = string> (options?: AbstractValueIteratorOptions<K, V> & LevelTtlIteratorExtraOptions) => AbstractValueIterator<typeof this, K, V>
+  batch: <K = string, V = string> (operations: Array<AbstractBatchOperation<typeof this, K, V> & LevelTtlOpsExtraOptions>, options: LevelTtlBatchOptions) => Promise<void>
+  acquireLease: <K = string> (key: K, owner: string, ttl: number) => Promise<boolean>
+  renewLease: <K = string> (key: K, owner: string, ttl: number) => Promise<boolean>
+  releaseLease: <K = string> (key: K, owner: string) => Promise<boolean>
+  ttl: <K = string> (key: K, delay: number, options?: { sliding?: boolean }) => Promise<void>
+  expireAt: <K = string> (key: K, date: Date | number) => Promise<void>
+  persist: <K = string> (key: K) => Promise<void>
+  persistMany: <K = string> (keys: K[]) => Promise<void>
+  migrateTtl: () => Promise<number>
+  verify: (options?: LevelTtlVerifyOptions) => Promise<LevelTtlVerifyReport>
+  exportStream: <K = string, V = string> (options?: AbstractIteratorOptions<K, V>) => Readable & { exportedAt: number }
+  importStream: <K = string, V = string> (options?: LevelTtlImportOptions<K, V>) => Writable
+  import: <K = string, V = string> (records: Iterable<LevelTtlRecord<K, V>> | AsyncIterable<LevelTtlRecord<K, V>>, options?: LevelTtlImportOptions<K, V>) => Promise<number>
+  getExpiry: <K = string> (key: K) => Promise<Date | undefined>
+  getExpiryMany: <K = string> (keys: K[]) => Promise<Array<Date | undefined>>
+  getTtl: <K = string> (key: K) => Promise<number | undefined>
+  getTtlMany: <K = string> (keys: K[]) => Promise<Array<number | undefined>>
+  sweep: () => Promise<void>
+  ttlReady: () => Promise<void>
+  ttlStats: () => Promise<LevelTtlStats>
   stop: () => void
   _ttl: _TTL
 }
@@ -1,6 +1,34 @@
-import { createEncoding } from './encoding.js'
+import { createEncoding, TIMESTAMP_LENGTH } from './encoding.js'
 import AsyncLock from 'async-lock'
-import { EntryStream } from 'level-read-stream'
+import { randomUUID } from 'crypto'
+import { Readable, Writable } from 'stream'
+import { FilteredIterator } from './iterator.js'
+import { Sweeper } from './sweeper.js'
+
+// The latest time a Date can hold
+const MAX_DATE = 8.64e15
+// The longest delay setTimeout supports
+const MAX_TIMEOUT = 2 ** 31 - 1
+
+// The scopes attached to a root database or to its sublevels share a sweeper
+// for each clock they are given, the system clock included
+const sweepers = new WeakMap()
+
+// Owners of leases are stored as strings, whichever the value encoding of the db
+const leaseOptions = { valueEncoding: 'utf8' }
+
+// The globals are looked up on each call, so that they can still be replaced
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, delay) => setTimeout(fn, delay),
+  clearTimeout: id => clearTimeout(id),
+  setInterval: (fn, delay) => setInterval(fn, delay),
+  clearInterval: id => clearInterval(id)
+}
+
+function currentTime (db) {
+  return db._ttl.clock.now()
+}
 
 function prefixKey (db, key) {
   return db._ttl.encoding.encode(db._ttl._prefixNs.concat(key))
@@ -10,150 +38,1329 @@ function expiryKey (db, expiryDate, key) {
   return db._ttl.encoding.encode(db._ttl._expiryNs.concat(expiryDate, key))
 }
 
-function buildQuery (db) {
+function accessKey (db, accessDate, key) {
+  return db._ttl.encoding.encode(db._ttl._accessNs.concat(accessDate, key))
+}
+
+// The record of a key in one of the indexes that order keys by time
+function indexKey (db, index, record, key) {
+  if (index === 'access') return accessKey(db, new Date(record.accessedAt), key)
+  return expiryKey(db, new Date(record.time), key)
+}
+
+// Bytes shared by all the records of a namespace, whichever the ttlEncoding
+function namespacePrefix (encode, ns) {
+  const a = encode(ns.concat('a'))
+  const b = encode(ns.concat(0))
+  let i = 0
+  while (i < a.length && a[i] === b[i]) i++
+  return a.subarray(0, i)
+}
+
+function startsWith (buffer, prefix) {
+  return buffer.length >= prefix.length && prefix.equals(buffer.subarray(0, prefix.length))
+}
+
+function isMetaKey (db, encodedKey) {
+  const { _nsPrefix, _subPrefix } = db._ttl
+  return (!!_nsPrefix && startsWith(encodedKey, _nsPrefix)) || (!!_subPrefix && startsWith(encodedKey, _subPrefix))
+}
+
+// The prefix of the keys of a sub that is a sublevel of the db itself, in
+// which case its meta data is found among the data
+function subPrefix (db, sub) {
+  if (!sub || sub === db || rootOf(sub) !== rootOf(db) || typeof sub.prefix !== 'string') return null
+  const dbPrefix = db.prefix || ''
+  if (!sub.prefix.startsWith(dbPrefix)) return null
+  return Buffer.from(sub.prefix.slice(dbPrefix.length))
+}
+
+// The prefix records of keys that start like the namespace of an index must
+// be left out: either the prefix of the namespace or the encoded namespace
+// itself bounds the index records more tightly, depending on the encoding
+function indexLowerBound (encode, ns) {
+  const gt = encode(ns)
+  const gte = namespacePrefix(encode, ns)
+  return Buffer.compare(gte, gt) > 0 ? { gte } : { gt }
+}
+
+// Selects the expiry records of entries due at or before the given time:
+// the records of that time sort after its encoding, as they end with a key.
+// The access index, ordered by last access time, is queried the same way.
+function buildQuery (db, until = currentTime(db), index = 'expiry') {
   const encode = db._ttl.encoding.encode
-  const expiryNs = db._ttl._expiryNs
+  const ns = index === 'access' ? db._ttl._accessNs : db._ttl._expiryNs
   return {
     keyEncoding: 'binary',
     valueEncoding: 'binary',
-    gte: encode(expiryNs),
-    lte: encode(expiryNs.concat(new Date()))
+    filterExpired: false,
+    ...(index === 'access' ? db._ttl._accessLowerBound : db._ttl._expiryLowerBound),
+    lt: encode(ns.concat(new Date(until + 1)))
   }
 }
 
 function startTtl (db, checkFrequency) {
-  db._ttl.intervalId = setInterval(function () {
-    const batch = []
-    const subBatch = []
-    const sub = db._ttl.sub
-    const query = buildQuery(db)
-    const decode = db._ttl.encoding.decode
-
-    db._ttl._checkInProgress = true
-    const emitError = db.emit.bind(db, 'error')
-
-    new EntryStream(sub || db, query)
-      .on('data', function (data) {
-        // the value is the key!
-        const key = decode(data.value)
-        // expiryKey that matches this query
-        subBatch.push({ type: 'del', key: data.key })
-        subBatch.push({ type: 'del', key: prefixKey(db, key) })
-        // the actual data that should expire now!
-        batch.push({ type: 'del', key: key })
-      })
-      .on('error', emitError)
-      .on('end', function () {
-        if (!batch.length) return
-
-        if (sub) {
-          sub.batch(subBatch, { keyEncoding: 'binary' }).catch(emitError)
-          db._ttl.batch(batch, { keyEncoding: 'binary' }).catch(emitError)
-        } else {
-          db._ttl.batch(subBatch.concat(batch), { keyEncoding: 'binary' }).catch(emitError)
-        }
-      })
-      .on('close', function () {
-        db._ttl._checkInProgress = false
-        if (db._ttl._stopAfterCheck) {
-          stopTtl(db)
-          db._ttl._stopAfterCheck = false
+  db._ttl._ready = catchUp(db).catch(function (err) {
+    db.emit('expireError', err)
+  })
+  // in precise mode, the catch-up check schedules the next one
+  if (db._ttl.options.scheduling === 'precise' || db._ttl.options.sweeper === false) return
+
+  const root = rootOf(db)
+  const clock = db._ttl.options.clock
+  if (!sweepers.has(root)) sweepers.set(root, new Map())
+  const clockSweepers = sweepers.get(root)
+  if (!clockSweepers.has(clock)) {
+    clockSweepers.set(clock, new Sweeper(db._ttl.clock, runScheduledCheck))
+  }
+  clockSweepers.get(clock).add(db, checkFrequency)
+}
+
+// Expires the entries that became due while the db wasn't in use,
+// as soon as it is open
+async function catchUp (db) {
+  if (db.status === 'opening') {
+    await db.deferAsync(async function () {})
+  } else if (db.status !== 'open') {
+    await new Promise(resolve => db.once('open', resolve))
+  }
+  if (db._ttl._stopped) return
+  if (db._ttl._capacity) await countCapacity(db)
+  await scheduledSweep(db)
+  await enforceCapacity(db)
+}
+
+function heartbeatKey (db) {
+  return db._ttl.encoding.encode(db._ttl._prefixNs.concat(db._ttl.options.heartbeatNamespace, 'sweeper'))
+}
+
+// Resolves to the id of the handle that last claimed to be the sweeper,
+// and to the time it did
+async function readHeartbeat (db) {
+  const { sub, encoding } = db._ttl
+  const getFn = (sub ? sub.get.bind(sub) : db._ttl.get)
+  const value = await getFn(heartbeatKey(db), { keyEncoding: 'binary', valueEncoding: 'binary' })
+  if (value === undefined) return
+  const [id, time] = (encoding.decodePath && encoding.decodePath(value)) || encoding.decode(value)
+  return { id: String(id), time: +time }
+}
+
+// Whether this handle should run the scheduled checks. With the 'auto'
+// option, the handles sharing a database elect the one whose heartbeat is
+// up to date, which it writes on each check, and take over once it is
+// older than sweeperTimeout. As there is no atomic write across handles,
+// two of them may claim it at once, in which case the last one wins.
+async function isSweeper (db) {
+  const { sweeper, sweeperTimeout } = db._ttl.options
+  if (sweeper !== 'auto') return sweeper !== false
+
+  const id = db._ttl._id
+  const heartbeat = await readHeartbeat(db)
+  const now = currentTime(db)
+  if (heartbeat && heartbeat.id !== id && now - heartbeat.time < sweeperTimeout) {
+    db._ttl._sweeper = false
+    return false
+  }
+
+  const value = db._ttl.encoding.encode([id, new Date(now)])
+  await writeBatch(db, [{ type: 'put', key: heartbeatKey(db), value }], [])
+  const written = await readHeartbeat(db)
+  db._ttl._sweeper = written !== undefined && written.id === id
+  return db._ttl._sweeper
+}
+
+// Lets the other handles take over right away once this one is closed
+async function resignSweeper (db) {
+  if (!db._ttl._sweeper || db.status !== 'open') return
+  db._ttl._sweeper = false
+  const heartbeat = await readHeartbeat(db)
+  if (heartbeat && heartbeat.id === db._ttl._id) {
+    await writeBatch(db, [{ type: 'del', key: heartbeatKey(db) }], [])
+  }
+}
+
+// Runs a check unless another handle is the sweeper. In precise mode, the
+// heartbeat of the sweeper is also refreshed, and checked by the others,
+// on a timer of their own.
+async function scheduledSweep (db) {
+  const { sweeper, sweeperTimeout, scheduling } = db._ttl.options
+  if (sweeper === false) return
+
+  const elected = await isSweeper(db)
+  if (sweeper === 'auto' && scheduling === 'precise') {
+    scheduleCheck(db, currentTime(db) + (elected ? sweeperTimeout / 2 : sweeperTimeout))
+  }
+  if (elected) await sweep(db)
+}
+
+// Counts the entries with a ttl and their size from their prefix records,
+// so that writes only have to account for what they change. Writes made
+// while counting may be missed, which makes the count approximate.
+async function countCapacity (db) {
+  const capacity = { entries: 0, bytes: 0 }
+  await forEachMetaChunk(db, prefixRange(db), async function (entries) {
+    entries.forEach(function ([record, value]) {
+      if (parsePrefixRecord(db, record) === undefined) return
+      capacity.entries++
+      capacity.bytes += decodeRecord(db, value).size
+    })
+  })
+  db._ttl._capacity = capacity
+}
+
+function overCapacity (db) {
+  const { maxEntries, maxBytes } = db._ttl.options
+  const capacity = db._ttl._capacity
+  return capacity !== null && (capacity.entries > maxEntries || capacity.bytes > maxBytes)
+}
+
+// Evicts entries until the store fits within maxEntries and maxBytes again,
+// writes made meanwhile sharing the eviction in progress
+async function enforceCapacity (db) {
+  if (!overCapacity(db) || db._ttl._stopped) return
+  if (!db._ttl._eviction) {
+    db._ttl._eviction = evict(db).catch(function (err) {
+      db._ttl._stats.totalErrors++
+      db.emit('expireError', err)
+    }).finally(function () {
+      db._ttl._eviction = null
+    })
+  }
+  await db._ttl._eviction
+}
+
+// Removes as few entries as needed, in the order of the eviction policy.
+// With the lru policy, entries that have no access record, as they were
+// written before the policy was set, go last, soonest to expire first.
+async function evict (db) {
+  const { evictionPolicy, maxEntries, maxBytes, sweepBatchSize } = db._ttl.options
+  const decode = db._ttl.encoding.decode
+  const store = db._ttl.sub || db
+  const indexes = evictionPolicy === 'lru' ? ['access', 'expiry'] : ['expiry']
+  let recounted = false
+
+  for (const index of indexes) {
+    while (overCapacity(db) && !db._ttl._stopped) {
+      const query = { ...buildQuery(db, MAX_DATE - 1, index), limit: sweepBatchSize }
+      const entries = await store.iterator(query).all()
+      // the count drifts when entries are removed without going through the
+      // wrapped methods, which shows once the whole expiry index, that has
+      // a record per entry, is shorter than it
+      if (index === 'expiry' && !recounted && entries.length < sweepBatchSize && entries.length < db._ttl._capacity.entries) {
+        recounted = true
+        await countCapacity(db)
+        continue
+      }
+      if (!entries.length) break
+
+      // the value is the key!
+      const keys = entries.map(([record, key]) => decode(key))
+      const records = await getExpiryRecords(db, keys)
+      let { entries: count, bytes } = db._ttl._capacity
+      let n = 0
+      while (n < keys.length && (count > maxEntries || bytes > maxBytes)) {
+        if (records[n]) {
+          count--
+          bytes -= records[n].size
         }
+        n++
+      }
+      const evicted = await expire(db, keys.slice(0, n), entries.slice(0, n).map(([record]) => record), { index, eviction: true })
+      db._ttl._stats.totalEvicted += evicted
+    }
+  }
+}
+
+// Counts the keys with a ttl by going through their prefix records, as
+// there may be outdated expiry records left
+async function countPrefixRecords (db) {
+  let count = 0
+  await forEachMetaChunk(db, prefixRange(db), async function (entries) {
+    count += entries.filter(([record]) => parsePrefixRecord(db, record) !== undefined).length
+  })
+  return count
+}
+
+// Resolves to the earliest expiry time, if any, like nextExpiryTime, but
+// skips outdated expiry records rather than removing them, so as not to write
+async function peekNextExpiryTime (db) {
+  const decode = db._ttl.encoding.decode
+  const it = (db._ttl.sub || db).iterator(buildQuery(db, MAX_DATE - 1))
+  try {
+    let entries
+    while ((entries = await it.nextv(100)).length) {
+      // the value is the key!
+      const keys = entries.map(([record, key]) => decode(key))
+      const expiryTimes = await getExpiryTimes(db, keys)
+      const i = entries.findIndex(function ([record], i) {
+        return expiryTimes[i] !== undefined && expiryKey(db, new Date(expiryTimes[i]), keys[i]).equals(record)
       })
-  }, checkFrequency)
+      if (i !== -1) return expiryTimes[i]
+    }
+  } finally {
+    await it.close()
+  }
+}
 
-  if (db._ttl.intervalId.unref) {
-    db._ttl.intervalId.unref()
+async function ttlStats (db) {
+  const [trackedKeys, nextExpiry] = await Promise.all([
+    countPrefixRecords(db),
+    peekNextExpiryTime(db)
+  ])
+  return {
+    trackedKeys,
+    nextExpiry: nextExpiry === undefined ? undefined : new Date(nextExpiry),
+    ...db._ttl._stats
+  }
+}
+
+function ttlReady (db) {
+  return db._ttl._ready
+}
+
+function runScheduledCheck (db) {
+  // the previous check may still be running on a large data store
+  if (db._ttl._check) return
+  return scheduledSweep(db).catch(function (err) {
+    db.emit('expireError', err)
+  })
+}
+
+// The entries are deleted by the time their events are emitted, so a failing
+// listener must neither keep the others from being notified nor stop the check
+function emitSafely (db, ...args) {
+  try {
+    db.emit(...args)
+  } catch (err) {
+    db.emit('expireError', err)
+  }
+}
+
+// Whether the index record of a key still matches its meta data
+function isCurrent (db, index, record, key, recordKey) {
+  if (record === undefined) return false
+  if (index === 'access' && record.accessedAt === undefined) return false
+  return indexKey(db, index, record, key).equals(recordKey)
+}
+
+// Asks beforeExpire what to do with each key whose index record is current,
+// before the keys are locked, so that it can write them. Resolves to its
+// answers along with the values, as read from the store, they were about.
+async function decideExpiries (db, keys, indexKeys, index) {
+  const records = await getExpiryRecords(db, keys)
+  const current = keys.map((key, i) => isCurrent(db, index, records[i], key, indexKeys[i]))
+  const asked = keys.filter((key, i) => current[i])
+  if (!asked.length) return []
+
+  const values = await db._ttl.getMany.call(db, asked, { keyEncoding: 'binary', valueEncoding: 'buffer' })
+  const valueEncoding = db.valueEncoding().createBufferTranscoder()
+  const answers = await Promise.all(asked.map(function (key, j) {
+    return db._ttl.options.beforeExpire(key, values[j] === undefined ? undefined : valueEncoding.decode(values[j]))
+  }))
+  let j = 0
+  return keys.map((key, i) => current[i] ? { answer: answers[j], value: values[j++] } : undefined)
+}
+
+function sameValue (a, b) {
+  return a === undefined ? b === undefined : b !== undefined && a.equals(b)
+}
+
+// Expires the given keys, unless their index record is outdated, in which
+// case only that record is removed. Evictions remove entries whatever their
+// expiry time, and can't be vetoed by beforeExpire. Resolves to the number
+// of expired entries.
+async function expire (db, keys, indexKeys, options = {}) {
+  const { index = 'expiry', eviction = false } = options
+  const ask = !eviction && !!db._ttl.options.beforeExpire
+  let expired = 0
+  while (keys.length) {
+    const decisions = ask ? await decideExpiries(db, keys, indexKeys, index) : null
+    const result = await lockKeys(db, keys, () => applyExpiries(db, keys, indexKeys, decisions, index, eviction))
+    expired += result.expired
+    // the keys whose value changed before they were locked are asked about again
+    keys = result.changed.map(i => keys[i])
+    indexKeys = result.changed.map(i => indexKeys[i])
+  }
+  return expired
+}
+
+// Applies the decisions of beforeExpire, if any, to keys that must be locked
+// by the caller, unless the entries they are about changed in the meantime
+async function applyExpiries (db, keys, indexKeys, decisions, index, eviction) {
+  const { expiredValues, checkFrequency } = db._ttl.options
+  const metaBatch = []
+  const batch = []
+
+  // the ttl of a key may have been changed or removed since its index
+  // record was read, in which case that record is outdated
+  const records = await getExpiryRecords(db, keys)
+  const current = keys.map((key, i) => isCurrent(db, index, records[i], key, indexKeys[i]))
+  keys.forEach(function (key, i) {
+    if (!current[i]) metaBatch.push({ type: 'del', key: indexKeys[i] })
+  })
+
+  // a value may also have been written without a ttl, which leaves its
+  // expiry record current, since beforeExpire was asked about it
+  const changed = []
+  if (decisions) {
+    const values = await db._ttl.getMany.call(db, keys, { keyEncoding: 'binary', valueEncoding: 'buffer' })
+    keys.forEach(function (key, i) {
+      if (current[i] && (!decisions[i] || !sameValue(decisions[i].value, values[i]))) changed.push(i)
+    })
+  }
+
+  // false keeps the entry until the next check, a number renews its ttl,
+  // and sliding ttls stay sliding either way
+  const now = currentTime(db)
+  const renewals = []
+  const expiring = []
+  keys.forEach(function (key, i) {
+    if (!current[i] || changed.includes(i)) return
+    const answer = decisions && decisions[i].answer
+    if (answer === false) {
+      renewals.push({ i, expiryTime: new Date(now + checkFrequency) })
+    } else if (typeof answer === 'number' && answer > 0) {
+      renewals.push({ i, expiryTime: new Date(now + answer) })
+    } else {
+      expiring.push(i)
+    }
+  })
+  const renewalOps = await Promise.all(renewals.map(function ({ i, expiryTime }) {
+    return ttlOperations(db, [keys[i]], expiryTime, records[i].duration)
+  }))
+  metaBatch.push(...renewalOps.flat())
+
+  // values can only be read before they are deleted
+  let values
+  if (expiring.length && expiredValues) {
+    values = await db._ttl.getMany.call(db, expiring.map(i => keys[i]), { keyEncoding: 'binary' })
+  }
+
+  expiring.forEach(function (i) {
+    metaBatch.push(...removalOperations(db, keys[i], records[i]))
+    // the actual data that should expire now!
+    batch.push({ type: 'del', key: keys[i] })
+  })
+  if (!metaBatch.length) return { expired: 0, changed }
+
+  await writeBatch(db, metaBatch, batch, { keyEncoding: 'binary' })
+  renewals.forEach(({ expiryTime }) => armTimer(db, expiryTime))
+  if (!expiring.length) return { expired: 0, changed }
+
+  const expiredKeys = expiring.map(i => keys[i])
+  const event = eviction ? 'evicted' : 'expired'
+  expiredKeys.forEach(function (key, i) {
+    emitSafely(db, event, key, values && values[i])
+  })
+  emitSafely(db, event + 'Many', expiredKeys, values)
+  return { expired: expiredKeys.length, changed }
+}
+
+// Arms a single timer for the given expiry time, unless it is already armed
+// for an earlier one, so that close expiry times share a check
+function scheduleCheck (db, time) {
+  if (db._ttl._stopped) return
+  if (db._ttl._nextCheckTime != null && db._ttl._nextCheckTime <= time) return
+
+  db._ttl.clock.clearTimeout(db._ttl.timeoutId)
+  db._ttl._nextCheckTime = time
+  // a longer delay than setTimeout supports fires early and gets rescheduled
+  const delay = Math.min(Math.max(time - currentTime(db), 0), MAX_TIMEOUT)
+  db._ttl.timeoutId = db._ttl.clock.setTimeout(function () {
+    db._ttl.timeoutId = null
+    db._ttl._nextCheckTime = null
+    // a check in progress schedules the next one once it is done
+    runScheduledCheck(db)
+  }, delay)
+
+  if (db._ttl.timeoutId && db._ttl.timeoutId.unref) {
+    db._ttl.timeoutId.unref()
+  }
+}
+
+async function scheduleNextCheck (db) {
+  try {
+    const time = await nextExpiryTime(db)
+    if (time !== undefined) scheduleCheck(db, time)
+  } catch (err) {
+    if (db._ttl._stopped) return
+    db._ttl._stats.totalErrors++
+    db.emit('expireError', err)
+  }
+}
+
+// Resolves to the earliest expiry time, if any, dropping the outdated expiry
+// records found on the way, as they would otherwise be scheduled forever
+async function nextExpiryTime (db) {
+  const sub = db._ttl.sub
+  const batchFn = (sub ? sub.batch.bind(sub) : db._ttl.batch)
+  const decode = db._ttl.encoding.decode
+
+  while (true) {
+    const query = { ...buildQuery(db, MAX_DATE - 1), limit: 1 }
+    const [entry] = await (sub || db).iterator(query).all()
+    if (entry === undefined) return
+
+    const [record, encodedKey] = entry
+    const key = decode(encodedKey)
+    const time = await lockKeys(db, [key], async function () {
+      const [time] = await getExpiryTimes(db, [key])
+      if (time !== undefined && expiryKey(db, new Date(time), key).equals(record)) return time
+      await batchFn([{ type: 'del', key: record }], { keyEncoding: 'binary' })
+    })
+    if (time !== undefined) return time
+  }
+}
+
+// Expires due entries in chunks of sweepBatchSize, up to maxExpiriesPerSweep
+// per check, leaving the others to the next checks. Resolves to the number
+// of expired entries.
+async function checkExpiries (db) {
+  const { sweepBatchSize, maxExpiriesPerSweep } = db._ttl.options
+  const decode = db._ttl.encoding.decode
+  const sub = db._ttl.sub
+  let count = 0
+  let expired = 0
+
+  const it = (sub || db).iterator(buildQuery(db))
+  try {
+    while (count < maxExpiriesPerSweep && !db._ttl._stopAfterCheck) {
+      const size = Math.min(sweepBatchSize, maxExpiriesPerSweep - count)
+      const entries = await it.nextv(size)
+      if (entries.length) {
+        count += entries.length
+        // the value is the key!
+        expired += await expire(db, entries.map(([expiryKey, key]) => decode(key)), entries.map(([expiryKey]) => expiryKey))
+      }
+      if (entries.length < size) break
+      // let other operations through between chunks
+      await new Promise(resolve => setImmediate(resolve))
+    }
+  } finally {
+    await it.close()
+  }
+  return expired
+}
+
+// Runs one expiry check, once the check in progress, if any, is done
+async function sweep (db) {
+  // checks must not overlap
+  while (db._ttl._check) {
+    await db._ttl._check.catch(function () {})
+  }
+
+  const stats = db._ttl._stats
+  const start = currentTime(db)
+  db._ttl._check = checkExpiries(db)
+  try {
+    const expired = await db._ttl._check
+    stats.lastSweepDuration = currentTime(db) - start
+    stats.lastSweepExpired = expired
+    stats.totalExpired += expired
+    db.emit('sweep', { duration: stats.lastSweepDuration, expired })
+  } catch (err) {
+    stats.totalErrors++
+    throw err
+  } finally {
+    db._ttl._check = null
+    if (db._ttl._stopAfterCheck) {
+      stopTtl(db)
+      db._ttl._stopAfterCheck = false
+    } else if (db._ttl.options.scheduling === 'precise') {
+      scheduleNextCheck(db)
+    }
   }
 }
 
 function stopTtl (db) {
   // can't close a db while an interator is in progress
   // so if one is, defer
-  if (db._ttl._checkInProgress) {
+  if (db._ttl._check) {
     db._ttl._stopAfterCheck = true
   } else {
-    clearInterval(db._ttl.intervalId)
+    const root = rootOf(db)
+    const clock = db._ttl.options.clock
+    const clockSweepers = sweepers.get(root)
+    const sweeper = clockSweepers && clockSweepers.get(clock)
+    if (sweeper) {
+      sweeper.delete(db)
+      if (!sweeper.size) clockSweepers.delete(clock)
+      if (!clockSweepers.size) sweepers.delete(root)
+    }
+    db._ttl.clock.clearTimeout(db._ttl.timeoutId)
+    db._ttl.timeoutId = null
+    db._ttl._nextCheckTime = null
+    db._ttl._stopped = true
   }
 }
 
-async function ttlon (db, keys, ttl) {
-  const expiryTime = new Date(Date.now() + ttl)
-  const batch = []
-  const sub = db._ttl.sub
-  const batchFn = (sub ? sub.batch.bind(sub) : db._ttl.batch)
+async function lockKeys (db, keys, fn) {
+  // operations deferred until the db is open are replayed through our
+  // wrapped methods, which would wait forever for the lock held here
+  if (db.status === 'opening') {
+    await db.deferAsync(async function () {})
+  }
+  // async-lock would also wait forever on a key that is listed twice
+  return db._ttl._lock.acquire(Array.from(new Set(keys.map(String))), fn)
+}
+
+// Resolves to the meta data operations that set the expiry time of keys,
+// or remove it if expiryTime is null. Like ttlon and ttloff, the keys must
+// be locked by the caller until the operations are written. The size of
+// the entries is only needed by bounded stores, and is kept or read from
+// the store when not given.
+async function ttlOperations (db, keys, expiryTime, duration, sizes) {
+  const ops = []
+  const records = await getExpiryRecords(db, keys)
+  if (expiryTime && db._ttl._capacity && !sizes) {
+    sizes = await storedSizes(db, keys, records)
+  }
+  // the last access is only tracked for the lru eviction policy
+  const accessedAt = db._ttl._capacity && db._ttl.options.evictionPolicy === 'lru' ? currentTime(db) : undefined
+  keys.forEach(function (key, i) {
+    if (expiryTime) {
+      const record = { time: +expiryTime, duration, size: sizes ? sizes[i] : 0, accessedAt }
+      ops.push(...recordOperations(db, key, record, records[i]))
+    } else if (records[i] !== undefined) {
+      ops.push(...removalOperations(db, key, records[i]))
+    }
+  })
+  return ops
+}
+
+// The operations that replace the meta data of a key, tagged with the
+// change they make to the capacity used by the store
+function recordOperations (db, key, record, previous) {
   const encode = db._ttl.encoding.encode
+  const ops = []
+  if (previous && previous.time !== record.time) {
+    ops.push({ type: 'del', key: expiryKey(db, new Date(previous.time), key) })
+  }
+  if (previous && previous.accessedAt !== undefined && previous.accessedAt !== record.accessedAt) {
+    ops.push({ type: 'del', key: accessKey(db, new Date(previous.accessedAt), key) })
+  }
+  ops.push({ type: 'put', key: expiryKey(db, new Date(record.time), key), value: encode(key) })
+  if (record.accessedAt !== undefined) {
+    ops.push({ type: 'put', key: accessKey(db, new Date(record.accessedAt), key), value: encode(key) })
+  }
+  ops.push({
+    type: 'put',
+    key: prefixKey(db, key),
+    value: encodeRecord(db, record),
+    capacity: { entries: previous ? 0 : 1, bytes: record.size - (previous ? previous.size : 0) }
+  })
+  return ops
+}
 
-  await db._ttl._lock.acquire(keys, async function (release) {
-    try {
-      await ttloff(db, keys)
-      keys.forEach(function (key) {
-        batch.push({ type: 'put', key: expiryKey(db, expiryTime, key), value: encode(key) })
-        batch.push({ type: 'put', key: prefixKey(db, key), value: encode(expiryTime) })
-      })
-      if (!batch.length) return release()
+// The operations that remove the meta data of a key
+function removalOperations (db, key, record) {
+  const ops = [{ type: 'del', key: expiryKey(db, new Date(record.time), key) }]
+  if (record.accessedAt !== undefined) {
+    ops.push({ type: 'del', key: accessKey(db, new Date(record.accessedAt), key) })
+  }
+  ops.push({ type: 'del', key: prefixKey(db, key), capacity: { entries: -1, bytes: -record.size } })
+  return ops
+}
 
-      await batchFn(batch, { keyEncoding: 'binary', valueEncoding: 'binary' })
-    } catch (err) {
-      db.emit('error', err)
-    }
-    release()
+// Prefix records hold the expiry time of a key, along with the duration of
+// its ttl if it is sliding. Those of bounded stores also hold the size of
+// the entry and its last access time.
+function encodeRecord (db, record) {
+  const encode = db._ttl.encoding.encode
+  const time = new Date(record.time)
+  if (db._ttl._capacity) return encode([time, record.duration || 0, record.size, record.accessedAt || 0])
+  return encode(record.duration ? [time, record.duration] : time)
+}
+
+function decodeRecord (db, value) {
+  const encoding = db._ttl.encoding
+  const decoded = (encoding.decodePath && encoding.decodePath(value)) || encoding.decode(value)
+  const [time, duration, size, accessedAt] = Array.isArray(decoded) ? decoded : [decoded]
+  return {
+    time: +time,
+    duration: +duration || undefined,
+    size: +size || 0,
+    accessedAt: +accessedAt || undefined
+  }
+}
+
+function byteLength (data) {
+  if (data == null) return 0
+  return typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength
+}
+
+// The size of an entry once encoded, which is what maxBytes bounds
+function entrySize (db, key, value, options = {}) {
+  const keySize = byteLength(db.keyEncoding(options.keyEncoding).encode(key))
+  return keySize + (value == null ? 0 : byteLength(db.valueEncoding(options.valueEncoding).encode(value)))
+}
+
+// The size of entries whose ttl is set without writing them, which is read
+// from the store unless it was already recorded
+async function storedSizes (db, keys, records) {
+  const unknown = keys.filter((key, i) => records[i] === undefined)
+  const values = unknown.length ? await db._ttl.getMany.call(db, unknown, { valueEncoding: 'buffer' }) : []
+  let j = 0
+  return keys.map(function (key, i) {
+    if (records[i] !== undefined) return records[i].size
+    return entrySize(db, key, values[j++], { valueEncoding: 'buffer' })
   })
 }
 
+// Writes meta data and data in a single batch, and so atomically, unless
+// the meta data is stored in another database. In that case, the meta data
+// is written first, so that failing to write it leaves the data untouched.
+async function writeBatch (db, metaOps, dataOps, options) {
+  const sub = db._ttl.sub
+  const metaEncodings = { keyEncoding: 'binary', valueEncoding: 'binary' }
+  // the capacity used only changes once the operations are written
+  const changes = metaOps.filter(op => op.capacity).map(op => op.capacity)
+  metaOps = metaOps.map(({ capacity, ...op }) => op)
+
+  if (sub && rootOf(sub) !== rootOf(db)) {
+    if (metaOps.length) await sub.batch(metaOps, metaEncodings)
+    if (dataOps.length) await db._ttl.batch.call(db, dataOps, options)
+  } else {
+    const ops = metaOps.map(op => ({ ...op, ...metaEncodings, sublevel: sub })).concat(dataOps)
+    if (ops.length) await db._ttl.batch.call(db, ops, options)
+  }
+
+  const capacity = db._ttl._capacity
+  if (!capacity) return
+  changes.forEach(function ({ entries, bytes }) {
+    capacity.entries += entries
+    capacity.bytes += bytes
+  })
+}
+
+// Sublevels refer to their root database, unlike root databases themselves
+function rootOf (db) {
+  return db.db || db
+}
+
+// Moves the timer of the precise scheduling earlier, if needed, once an
+// expiry time is written
+function armTimer (db, expiryTime) {
+  if (db._ttl.options.scheduling === 'precise') {
+    scheduleCheck(db, +expiryTime)
+  }
+}
+
+async function ttlon (db, keys, expiryTime, duration) {
+  await writeBatch(db, await ttlOperations(db, keys, expiryTime, duration), [])
+  armTimer(db, expiryTime)
+}
+
 async function ttloff (db, keys) {
-  const batch = []
+  await writeBatch(db, await ttlOperations(db, keys, null), [])
+}
+
+// Resolves to the expiry timestamp of each key, along with the rest of its
+// prefix record, or to undefined for keys without a ttl
+async function getExpiryRecords (db, keys) {
   const sub = db._ttl.sub
-  const getFn = (sub ? sub.get.bind(sub) : db.get.bind(db))
-  const batchFn = (sub ? sub.batch.bind(sub) : db._ttl.batch)
-  const decode = db._ttl.encoding.decode
-  try {
-    await Promise.all(keys.map(async key => {
-      const prefixedKey = prefixKey(db, key)
-      try {
-        // TODO: refactor with getMany
-        const exp = await getFn(prefixedKey, { keyEncoding: 'binary', valueEncoding: 'binary' })
-        if (exp) {
-          batch.push({ type: 'del', key: expiryKey(db, decode(exp), key) })
-          batch.push({ type: 'del', key: prefixedKey })
-        }
-      } catch (err) {
-        if (err.code !== 'LEVEL_NOT_FOUND') throw err
-      }
+  const getManyFn = (sub ? sub.getMany.bind(sub) : db._ttl.getMany)
+  const prefixedKeys = keys.map(key => prefixKey(db, key))
+  const exps = await getManyFn(prefixedKeys, { keyEncoding: 'binary', valueEncoding: 'binary' })
+  return exps.map(exp => exp == null ? undefined : decodeRecord(db, exp))
+}
+
+// Resolves to the expiry timestamp of each key, or undefined for keys without a ttl
+async function getExpiryTimes (db, keys) {
+  const records = await getExpiryRecords(db, keys)
+  return records.map(record => record && record.time)
+}
+
+function isExpired (expiryTime, now) {
+  return expiryTime !== undefined && expiryTime <= now
+}
+
+function tracksAccess (db) {
+  return db._ttl._capacity !== null && db._ttl.options.evictionPolicy === 'lru'
+}
+
+// Whether reading an entry should push back its expiry time, or update its
+// last access time for the lru eviction policy, which is only done once
+// every slidingDebounce ms at most
+function needsTouch (db, record, now) {
+  if (!record || isExpired(record.time, now)) return false
+  const { slidingDebounce } = db._ttl.options
+  if (record.duration && now + record.duration - record.time >= slidingDebounce) return true
+  return tracksAccess(db) && (record.accessedAt === undefined || now - record.accessedAt >= slidingDebounce)
+}
+
+// Pushes back the expiry time of the sliding entries that were just read,
+// and records that they were
+async function touch (db, keys, records) {
+  keys = keys.filter((key, i) => needsTouch(db, records[i], currentTime(db)))
+  if (!keys.length) return
+
+  await lockKeys(db, keys, async function () {
+    // the ttl of these keys may have changed since they were read
+    const now = currentTime(db)
+    records = await getExpiryRecords(db, keys)
+    const touched = keys
+      .map((key, i) => ({ key, record: records[i] }))
+      .filter(({ record }) => needsTouch(db, record, now))
+      .map(({ key, record }) => ({ key, record, time: record.duration ? now + record.duration : record.time }))
+    const ops = await Promise.all(touched.map(function ({ key, record, time }) {
+      return ttlOperations(db, [key], new Date(time), record.duration, [record.size])
     }))
-    if (!batch.length) return
-    await batchFn(batch, { keyEncoding: 'binary', valueEncoding: 'binary' })
-  } catch (err) {
-    db.emit('error', err)
+    await writeBatch(db, ops.flat(), [])
+    touched.forEach(({ time }) => armTimer(db, time))
+  })
+}
+
+async function get (db, key, options) {
+  const value = await db._ttl.get.call(db, key, options)
+  if (value === undefined) return value
+
+  // entries past their deadline may not have been swept yet
+  const [record] = await getExpiryRecords(db, [key])
+  if (isExpired(record && record.time, currentTime(db))) return undefined
+  await touch(db, [key], [record])
+  return value
+}
+
+async function getMany (db, keys, options) {
+  const values = await db._ttl.getMany.call(db, keys, options)
+  const found = keys.filter((key, i) => values[i] !== undefined)
+  if (!found.length) return values
+
+  const records = await getExpiryRecords(db, found)
+  const now = currentTime(db)
+  const expired = records.map(record => isExpired(record && record.time, now))
+  await touch(db, found.filter((key, i) => !expired[i]), records.filter((record, i) => !expired[i]))
+  let j = 0
+  return values.map(value => {
+    if (value === undefined) return value
+    return expired[j++] ? undefined : value
+  })
+}
+
+// Expired entries are not found, but aren't touched either, as has() doesn't
+// read their value
+async function has (db, key, options) {
+  const [found] = await hasMany(db, [key], options)
+  return found
+}
+
+async function hasMany (db, keys, options) {
+  const found = await db._ttl.hasMany.call(db, keys, options)
+  const existing = keys.filter((key, i) => found[i])
+  if (!existing.length) return found
+
+  const expiryTimes = await getExpiryTimes(db, existing)
+  const now = currentTime(db)
+  let j = 0
+  return found.map(exists => exists && !isExpired(expiryTimes[j++], now))
+}
+
+// Entries are read raw, to tell meta data apart from data even when the
+// key or value encoding can't represent it
+async function filterEntries (db, keyEncoding, valueEncoding, entries) {
+  const visible = entries
+    .filter(([key]) => !isMetaKey(db, key))
+    .map(([key, value]) => [keyEncoding.decode(key), valueEncoding.decode(value)])
+  if (!visible.length) return visible
+
+  const expiryTimes = await getExpiryTimes(db, visible.map(([key]) => key))
+  const now = currentTime(db)
+  return visible.filter((entry, i) => !isExpired(expiryTimes[i], now))
+}
+
+function createIterator (db, mode, options = {}) {
+  const filterExpired = options.filterExpired !== undefined ? options.filterExpired : db._ttl.options.filterExpired
+  if (!filterExpired) return db._ttl[mode].call(db, options)
+
+  const keyEncoding = db.keyEncoding(options.keyEncoding).createBufferTranscoder()
+  const valueEncoding = db.valueEncoding(options.valueEncoding).createBufferTranscoder()
+  // the range is read raw too, so it must be encoded here
+  const range = {}
+  for (const bound of ['gt', 'gte', 'lt', 'lte']) {
+    if (options[bound] !== undefined) range[bound] = keyEncoding.encode(options[bound])
   }
+  // keys are needed to look up expiry times, even when only values are requested
+  const it = db._ttl.iterator.call(db, {
+    ...options,
+    ...range,
+    keys: true,
+    values: true,
+    limit: -1,
+    keyEncoding: 'buffer',
+    valueEncoding: 'buffer'
+  })
+  return new FilteredIterator(it, mode, options.limit, filterEntries.bind(null, db, keyEncoding, valueEncoding), keyEncoding)
+}
+
+// Expiry times that a Date can't hold can't be written either, and must be
+// rejected before anything is
+function toExpiryTime (time) {
+  const expiryTime = new Date(time)
+  if (isNaN(expiryTime.getTime())) throw new TypeError('Expiry time must be a valid date')
+  return expiryTime
+}
+
+// Resolves to the expiry time set by an operation, null when an explicit
+// ttl of 0 or Infinity removes it, or undefined when it's left as is.
+// An absolute expireAt takes precedence over a relative ttl.
+function getExpiryTime (options, now) {
+  if (options.expireAt != null) return toExpiryTime(+options.expireAt)
+  if (options.ttl === 0 || options.ttl === Infinity) return null
+  if (options.ttl > 0) return toExpiryTime(now + options.ttl)
+}
+
+function hasTtlOptions (options) {
+  return options.ttl !== undefined || options.expireAt !== undefined
 }
 
-function put (db, key, value, options = {}) {
+// The duration of a sliding ttl, which can't be set with expireAt
+function getSlidingDuration (db, options) {
+  const sliding = options.sliding !== undefined ? options.sliding : db._ttl.options.sliding
+  if (sliding && options.expireAt == null && options.ttl > 0 && options.ttl !== Infinity) return options.ttl
+}
+
+async function put (db, key, value, options = {}) {
   if (db._ttl.options.defaultTTL > 0 && !options.ttl && options.ttl !== 0) {
     options.ttl = db._ttl.options.defaultTTL
   }
 
-  if (options.ttl > 0 && key != null && value != null) {
-    return Promise.all([
-      db._ttl.put.call(db, key, value, options),
-      ttlon(db, [key], options.ttl)
-    ])
+  const expiryTime = getExpiryTime(options, currentTime(db))
+  if (expiryTime !== undefined && key != null && value != null) {
+    // locked so that an expiry check can't delete the value once written
+    await lockKeys(db, [key], () => writeEntry(db, key, value, expiryTime, options))
+    await enforceCapacity(db)
   } else {
     return db._ttl.put.call(db, key, value, options)
   }
 }
 
-function setTtl (db, key, ttl) {
+// Writes an entry along with its expiry time, the key being locked by the caller
+async function writeEntry (db, key, value, expiryTime, options) {
+  const sizes = db._ttl._capacity ? [entrySize(db, key, value, options)] : undefined
+  const metaOps = await ttlOperations(db, [key], expiryTime, getSlidingDuration(db, options), sizes)
+  await writeBatch(db, metaOps, [{ type: 'put', key, value }], options)
+  if (expiryTime) armTimer(db, expiryTime)
+}
+
+// Reads an entry without touching it, as expired entries are not found
+async function readEntry (db, key, options) {
+  const [value, [record]] = await Promise.all([
+    db._ttl.get.call(db, key, options),
+    getExpiryRecords(db, [key])
+  ])
+  if (value === undefined || isExpired(record && record.time, currentTime(db))) return {}
+  return { value, record }
+}
+
+// Entries cached with staleWhileRevalidate are kept that much longer than
+// their ttl, during which they are stale
+function isStale (db, record, options) {
+  const staleWhileRevalidate = options.staleWhileRevalidate || 0
+  return record !== undefined && record.time - staleWhileRevalidate <= currentTime(db)
+}
+
+// Loads the value of a key and caches it, unless a concurrent call already
+// did while this one was waiting for the lock on that key
+async function load (db, key, loader, options) {
+  const { value, record } = await readEntry(db, key, options)
+  if (value !== undefined && !isStale(db, record, options)) return value
+
+  const loaded = await loader(key)
+  // there is nothing to cache for missing values
+  if (loaded == null) return loaded
+
+  const writeOptions = { ...options }
+  if (db._ttl.options.defaultTTL > 0 && !writeOptions.ttl && writeOptions.ttl !== 0) {
+    writeOptions.ttl = db._ttl.options.defaultTTL
+  }
+  let expiryTime = getExpiryTime(writeOptions, currentTime(db))
+  if (expiryTime) expiryTime = toExpiryTime(+expiryTime + (options.staleWhileRevalidate || 0))
+  if (expiryTime !== undefined) {
+    await writeEntry(db, key, loaded, expiryTime, writeOptions)
+  } else {
+    await db._ttl.put.call(db, key, loaded, writeOptions)
+  }
+  return loaded
+}
+
+// Refreshes a stale entry in the background, unless the key is already
+// being loaded or written
+function refresh (db, key, loader, options) {
+  if (db._ttl._lock.isBusy(String(key))) return
+  lockKeys(db, [key], () => load(db, key, loader, options))
+    .then(() => enforceCapacity(db))
+    .catch(function (err) {
+      db.emit('refreshError', err, key)
+    })
+}
+
+async function getOrSet (db, key, loader, options = {}) {
+  const { value, record } = await readEntry(db, key, options)
+  if (value !== undefined) {
+    if (isStale(db, record, options)) {
+      refresh(db, key, loader, options)
+    } else {
+      await touch(db, [key], [record])
+    }
+    return value
+  }
+
+  // concurrent calls for the same key wait for the first one to load it
+  const loaded = await lockKeys(db, [key], () => load(db, key, loader, options))
+  await enforceCapacity(db)
+  return loaded
+}
+
+// Leases are entries whose value is their owner, which can only be written
+// while no other owner holds them. Resolves to whether the lease was taken.
+async function acquireLease (db, key, owner, ttl) {
+  if (key == null || owner == null || !(ttl > 0 && ttl !== Infinity)) return false
+
+  const expiryTime = toExpiryTime(currentTime(db) + ttl)
+  const acquired = await lockKeys(db, [key], async function () {
+    // expired leases may not have been swept yet
+    const { value } = await readEntry(db, key, leaseOptions)
+    if (value !== undefined) return false
+    await writeEntry(db, key, String(owner), expiryTime, leaseOptions)
+    return true
+  })
+  if (acquired) await enforceCapacity(db)
+  return acquired
+}
+
+async function renewLease (db, key, owner, ttl) {
+  if (key == null || owner == null || !(ttl > 0 && ttl !== Infinity)) return false
+
+  const expiryTime = toExpiryTime(currentTime(db) + ttl)
+  return lockKeys(db, [key], async function () {
+    const { value } = await readEntry(db, key, leaseOptions)
+    if (value !== String(owner)) return false
+    await ttlon(db, [key], expiryTime)
+    return true
+  })
+}
+
+async function releaseLease (db, key, owner) {
+  if (key == null || owner == null) return false
+
+  return lockKeys(db, [key], async function () {
+    const { value } = await readEntry(db, key, leaseOptions)
+    if (value !== String(owner)) return false
+    const metaOps = await ttlOperations(db, [key], null)
+    await writeBatch(db, metaOps, [{ type: 'del', key }])
+    return true
+  })
+}
+
+async function setTtl (db, key, ttl, options = {}) {
   if (ttl > 0 && key != null) {
-    ttlon(db, [key], ttl)
+    const duration = getSlidingDuration(db, { ...options, ttl })
+    const expiryTime = toExpiryTime(currentTime(db) + ttl)
+    await lockKeys(db, [key], () => ttlon(db, [key], expiryTime, duration))
+    await enforceCapacity(db)
   }
 }
 
-async function del (db, key, options) {
+async function setExpireAt (db, key, date) {
+  if (date != null && key != null) {
+    const expiryTime = toExpiryTime(+date)
+    await lockKeys(db, [key], () => ttlon(db, [key], expiryTime))
+    await enforceCapacity(db)
+  }
+}
+
+async function persistMany (db, keys) {
+  keys = keys.filter(key => key != null)
+  if (!keys.length) return
+  await lockKeys(db, keys, () => ttloff(db, keys))
+}
+
+async function persist (db, key) {
   if (key != null) {
-    await ttloff(db, [key])
+    await persistMany(db, [key])
+  }
+}
+
+async function getExpiryMany (db, keys) {
+  const expiryTimes = await getExpiryTimes(db, keys)
+  return expiryTimes.map(time => time === undefined ? time : new Date(time))
+}
+
+async function getExpiry (db, key) {
+  const [expiry] = await getExpiryMany(db, [key])
+  return expiry
+}
+
+// Remaining time to live in ms, 0 for entries that are due to expire
+async function getTtlMany (db, keys) {
+  const expiryTimes = await getExpiryTimes(db, keys)
+  const now = currentTime(db)
+  return expiryTimes.map(time => time === undefined ? time : Math.max(time - now, 0))
+}
+
+async function getTtl (db, key) {
+  const [ttl] = await getTtlMany(db, [key])
+  return ttl
+}
+
+// Parses a record of the default encoding of level-ttl < 4
+function parseLegacyRecord (sep, prefix, expiryPrefix, record, value) {
+  const path = record.toString()
+
+  if (path.startsWith(expiryPrefix)) {
+    const rest = path.slice(expiryPrefix.length)
+    const time = rest.slice(0, rest.indexOf(sep))
+    // the value of an expiry record is the key!
+    if (/^\d+$/.test(time) && rest === time + sep + value) {
+      return { record, key: value, time: time, expiry: true }
+    }
+  }
+  if (/^\d+$/.test(value)) {
+    return { record, key: path.slice(prefix.length), time: value, expiry: false }
+  }
+}
+
+// Whether a record that may look like a legacy prefix record was written by
+// the current encoding: the access records of the lru eviction policy hold
+// a key, that may be all digits, and the heartbeat is left alone too
+function isCurrentRecord (db, record, value) {
+  if (heartbeatKey(db).equals(record)) return true
+  const { encoding, _accessNs } = db._ttl
+  const path = encoding.decodePath(record)
+  if (!path || path.length !== _accessNs.length + 2) return false
+  return accessKey(db, new Date(+path[_accessNs.length]), value).equals(record)
+}
+
+// Rewrites the meta data written by the default encoding of level-ttl < 4,
+// in which expiry times of different lengths didn't sort properly and keys
+// could be mistaken for paths. Resolves to the number of migrated records.
+async function migrateTtl (db) {
+  if (db._ttl.options.ttlEncoding) return 0
+
+  const sub = db._ttl.sub
+  const store = sub || db
+  const batchFn = (sub ? sub.batch.bind(sub) : db._ttl.batch)
+  const getManyFn = (sub ? sub.getMany.bind(sub) : db._ttl.getMany)
+  const sep = db._ttl.options.separator
+  const legacyPrefix = (sub ? '' : sep) + db._ttl._prefixNs.map(ns => ns + sep).join('')
+  const legacyExpiryPrefix = legacyPrefix + db._ttl.options.expiryNamespace + sep
+  const parse = parseLegacyRecord.bind(null, sep, legacyPrefix, legacyExpiryPrefix)
+  const prefix = Buffer.from(legacyPrefix)
+  const range = prefix.length ? { gte: prefix, lt: Buffer.concat([prefix, Buffer.from([0xff])]) } : {}
+  const it = store.iterator({ ...range, keyEncoding: 'binary', valueEncoding: 'utf8', filterExpired: false })
+  let count = 0
+
+  try {
+    let entries
+    while ((entries = await it.nextv(1000)).length) {
+      const records = entries
+        .filter(([record, value]) => !isCurrentRecord(db, record, value))
+        .map(([record, value]) => parse(record, value))
+        // records that were already migrated have full length timestamps
+        .filter(parsed => parsed && parsed.time.length < TIMESTAMP_LENGTH)
+      if (!records.length) continue
+
+      const keys = records.map(parsed => parsed.key)
+      await lockKeys(db, keys, async function () {
+        // an expiry record without any prefix record is migrated on its own
+        const [legacyExps, expiryTimes] = await Promise.all([
+          getManyFn(keys.map(key => Buffer.concat([prefix, Buffer.from(key)])), { keyEncoding: 'binary', valueEncoding: 'binary' }),
+          getExpiryTimes(db, keys)
+        ])
+        const migrated = records.filter(function (parsed, i) {
+          return !parsed.expiry || (legacyExps[i] === undefined && expiryTimes[i] === undefined)
+        })
+
+        await batchFn(records.map(parsed => ({ type: 'del', key: parsed.record })), { keyEncoding: 'binary' })
+        await Promise.all(migrated.map(parsed => ttlon(db, [parsed.key], new Date(+parsed.time))))
+      })
+      count += records.length
+    }
+  } finally {
+    await it.close()
+  }
+
+  return count
+}
+
+// Resolves to the key of a prefix record, or undefined for other records
+function parsePrefixRecord (db, record) {
+  const { encoding, _prefixNs } = db._ttl
+  let path
+  try {
+    path = encoding.decodePath ? encoding.decodePath(record) : encoding.decode(record)
+  } catch (err) {
+    return
+  }
+  if (!Array.isArray(path) || path.length !== _prefixNs.length + 1) return
+  if (!_prefixNs.every((ns, i) => path[i] === ns)) return
+  return String(path[_prefixNs.length])
+}
+
+// Selects all the meta data, prefix records included
+function prefixRange (db) {
+  const { encoding, _prefixNs } = db._ttl
+  const nsPrefix = _prefixNs.length ? namespacePrefix(encoding.encode, _prefixNs) : null
+  return nsPrefix ? { gte: nsPrefix, lt: Buffer.concat([nsPrefix, Buffer.from([0xff])]) } : {}
+}
+
+// Walks through the meta data by chunks, with the keys of each chunk locked
+async function forEachMetaChunk (db, query, fn) {
+  const it = (db._ttl.sub || db).iterator({ ...query, keyEncoding: 'binary', valueEncoding: 'binary', filterExpired: false })
+  try {
+    let entries
+    while ((entries = await it.nextv(1000)).length) {
+      await fn(entries)
+    }
+  } finally {
+    await it.close()
+  }
+}
+
+// Checks that every expiry record matches a prefix record and some data,
+// and that every prefix record has its expiry record, repairing what
+// doesn't if asked to. Keys without data are only reported by default, as
+// their ttl may have been set before they are written.
+async function verify (db, options = {}) {
+  const { encoding, sub } = db._ttl
+  const getManyFn = (sub ? sub.getMany.bind(sub) : db._ttl.getMany)
+  const report = {
+    orphanedExpiryRecords: 0,
+    outdatedExpiryRecords: 0,
+    missingExpiryRecords: 0,
+    missingData: 0
+  }
+
+  await forEachMetaChunk(db, buildQuery(db, MAX_DATE - 1), async function (entries) {
+    const keys = entries.map(([record, key]) => encoding.decode(key))
+    await lockKeys(db, keys, async function () {
+      const [expiryRecords, values] = await Promise.all([
+        getExpiryRecords(db, keys),
+        db._ttl.getMany.call(db, keys, { keyEncoding: 'binary', valueEncoding: 'binary' })
+      ])
+      const fixes = []
+      entries.forEach(function ([record], i) {
+        if (expiryRecords[i] === undefined) {
+          report.orphanedExpiryRecords++
+          fixes.push({ type: 'del', key: record })
+        } else if (!expiryKey(db, new Date(expiryRecords[i].time), keys[i]).equals(record)) {
+          report.outdatedExpiryRecords++
+          fixes.push({ type: 'del', key: record })
+        } else if (values[i] === undefined) {
+          report.missingData++
+          if (options.removeMissingData) fixes.push(...removalOperations(db, keys[i], expiryRecords[i]))
+        }
+      })
+      if (options.fix) await writeBatch(db, fixes, [])
+    })
+  })
+
+  await forEachMetaChunk(db, prefixRange(db), async function (entries) {
+    const keys = entries.map(([record]) => parsePrefixRecord(db, record)).filter(key => key !== undefined)
+    if (!keys.length) return
+    await lockKeys(db, keys, async function () {
+      // prefix records may have been removed since they were read
+      const expiryTimes = await getExpiryTimes(db, keys)
+      const found = keys
+        .map((key, i) => ({ key, expiryTime: expiryTimes[i] }))
+        .filter(({ expiryTime }) => expiryTime !== undefined)
+        .map(entry => ({ ...entry, record: expiryKey(db, new Date(entry.expiryTime), entry.key) }))
+      const records = await getManyFn(found.map(({ record }) => record), { keyEncoding: 'binary', valueEncoding: 'binary' })
+      const missing = found.filter((entry, i) => records[i] === undefined)
+      report.missingExpiryRecords += missing.length
+      if (!options.fix || !missing.length) return
+
+      await writeBatch(db, missing.map(function ({ key, record }) {
+        return { type: 'put', key: record, value: encoding.encode(key) }
+      }), [])
+      missing.forEach(({ expiryTime }) => armTimer(db, expiryTime))
+    })
+  })
+
+  return report
+}
+
+// Yields the live entries along with their expiry time, as a timestamp, or
+// null for entries without a ttl. Entries that expire while the export is
+// in progress are still exported, with their past expiry time.
+async function * exportEntries (db, exportedAt, options) {
+  const it = createIterator(db, 'iterator', { ...options, filterExpired: true })
+  try {
+    let entries
+    while ((entries = await it.nextv(1000)).length) {
+      const expiryTimes = await getExpiryTimes(db, entries.map(([key]) => key))
+      for (let i = 0; i < entries.length; i++) {
+        if (isExpired(expiryTimes[i], exportedAt)) continue
+        const [key, value] = entries[i]
+        yield { key, value, expireAt: expiryTimes[i] === undefined ? null : expiryTimes[i] }
+      }
+    }
+  } finally {
+    await it.close()
   }
-  await db._ttl.del.call(db, key, options)
+}
+
+function exportStream (db, options = {}) {
+  const exportedAt = currentTime(db)
+  const stream = Readable.from(exportEntries(db, exportedAt, options))
+  // to be passed as the rebase option of the import
+  stream.exportedAt = exportedAt
+  return stream
+}
+
+// Writes exported records in a single batch, with their expiry times moved
+// by the time elapsed since the export if rebase is the time of the export.
+// Resolves to the number of imported records, which leaves out the records
+// that have expired by now.
+async function importRecords (db, records, options) {
+  const { rebase, ...batchOptions } = options
+  const now = currentTime(db)
+  const shift = rebase != null ? now - +rebase : 0
+  const ops = []
+  records.forEach(function ({ key, value, expireAt }) {
+    if (key == null || value == null) return
+    // a ttl of 0 removes the ttl the key may have had before the import
+    if (expireAt == null) return ops.push({ type: 'put', key, value, ttl: 0 })
+    if (+expireAt + shift > now) ops.push({ type: 'put', key, value, expireAt: +expireAt + shift })
+  })
+  if (ops.length) await batch(db, ops, batchOptions)
+  return ops.length
+}
+
+async function importEntries (db, records, options = {}) {
+  let chunk = []
+  let count = 0
+  for await (const record of records) {
+    chunk.push(record)
+    if (chunk.length === 1000) {
+      count += await importRecords(db, chunk, options)
+      chunk = []
+    }
+  }
+  count += await importRecords(db, chunk, options)
+  return count
+}
+
+function importStream (db, options = {}) {
+  return new Writable({
+    objectMode: true,
+    write: function (record, encoding, callback) {
+      importRecords(db, [record], options).then(() => callback(), callback)
+    },
+    writev: function (chunks, callback) {
+      importRecords(db, chunks.map(({ chunk }) => chunk), options).then(() => callback(), callback)
+    }
+  })
+}
+
+async function del (db, key, options) {
+  if (key == null) return db._ttl.del.call(db, key, options)
+
+  await lockKeys(db, [key], async function () {
+    const metaOps = await ttlOperations(db, [key], null)
+    await writeBatch(db, metaOps, [{ type: 'del', key }], options)
+  })
 }
 
 async function batch (db, arr, options = {}) {
@@ -161,25 +1368,56 @@ async function batch (db, arr, options = {}) {
     options.ttl = db._ttl.options.defaultTTL
   }
 
-  if (options.ttl > 0 && Array.isArray(arr)) {
-    const on = []
-    const off = []
-    arr.forEach(function (entry) {
-      if (!entry || entry.key == null) { return }
-      if (entry.type === 'put' && entry.value != null) on.push(entry.key)
-      if (entry.type === 'del') off.push(entry.key)
-    })
-    await Promise.all([
-      on.length ? ttlon(db, on, options.ttl) : null,
-      off.length ? ttloff(db, off) : null
+  if (!Array.isArray(arr)) return db._ttl.batch.call(db, arr, options)
+
+  const now = currentTime(db)
+  // the last operation on a key decides of its expiry time
+  const expiries = new Map()
+  arr.forEach(function (entry) {
+    if (!entry || entry.key == null) { return }
+    if (entry.type === 'put' && entry.value != null) {
+      expiries.set(entry.key, {
+        expiryTime: getExpiryTime(hasTtlOptions(entry) ? entry : options, now),
+        duration: getSlidingDuration(db, { ...options, ...entry }),
+        size: db._ttl._capacity ? entrySize(db, entry.key, entry.value, { ...options, ...entry }) : 0
+      })
+    }
+    if (entry.type === 'del') expiries.set(entry.key, { expiryTime: null })
+  })
+
+  // entries sharing an expiry time share the same ttlOperations call
+  const on = new Map()
+  const off = []
+  expiries.forEach(function ({ expiryTime, duration, size }, key) {
+    if (expiryTime === undefined) return
+    if (expiryTime === null) return off.push(key)
+    const group = `${+expiryTime}:${duration}`
+    if (!on.has(group)) on.set(group, { expiryTime, duration, keys: [], sizes: [] })
+    on.get(group).keys.push(key)
+    on.get(group).sizes.push(size)
+  })
+
+  // locked so that an expiry check can't delete the values once written
+  await lockKeys(db, Array.from(expiries.keys()), async function () {
+    const metaOps = await Promise.all([
+      ...Array.from(on.values(), ({ expiryTime, duration, keys, sizes }) => ttlOperations(db, keys, expiryTime, duration, sizes)),
+      off.length ? ttlOperations(db, off, null) : []
     ])
-  }
+    await writeBatch(db, metaOps.flat(), arr, options)
+    on.forEach(({ expiryTime }) => armTimer(db, expiryTime))
+  })
+  await enforceCapacity(db)
+}
 
-  return db._ttl.batch.call(db, arr, options)
+async function clear (db, options) {
+  await db._ttl.clear.call(db, options)
+  // the meta data of the cleared entries may or may not have been cleared
+  if (db._ttl._capacity) await countCapacity(db)
 }
 
 async function close (db) {
   stopTtl(db)
+  await resignSweeper(db)
   if (db._ttl && typeof db._ttl.close === 'function') {
     await db._ttl.close.call(db)
   }
@@ -194,29 +1432,104 @@ function setup (db, options = {}) {
     expiryNamespace: 'x',
     separator: '!',
     checkFrequency: 10000,
+    scheduling: 'interval',
     defaultTTL: 0,
+    filterExpired: false,
+    expiredValues: false,
+    beforeExpire: null,
+    sweepBatchSize: 1000,
+    maxExpiriesPerSweep: Infinity,
+    sliding: false,
+    slidingDebounce: 1000,
+    maxEntries: Infinity,
+    maxBytes: Infinity,
+    evictionPolicy: 'soonest-expiry',
+    accessNamespace: 'a',
+    heartbeatNamespace: 'h',
+    sweeper: true,
     ...options
   }
+  // handles take over from a sweeper that missed a few checks
+  if (opts.sweeperTimeout == null) opts.sweeperTimeout = 3 * opts.checkFrequency
 
   const _prefixNs = opts.namespace ? [opts.namespace] : []
+  const _expiryNs = _prefixNs.concat(opts.expiryNamespace)
+  const _accessNs = _prefixNs.concat(opts.accessNamespace)
+  const encoding = createEncoding(opts)
+  const sub = 'sub' in opts ? opts.sub : undefined
 
   db._ttl = {
+    get: db.get.bind(db),
+    getMany: db.getMany.bind(db),
+    hasMany: db.hasMany.bind(db),
+    iterator: db.iterator.bind(db),
+    keys: db.keys.bind(db),
+    values: db.values.bind(db),
     put: db.put.bind(db),
     del: db.del.bind(db),
     batch: db.batch.bind(db),
+    clear: db.clear.bind(db),
     close: db.close.bind(db),
-    sub: 'sub' in opts ? opts.sub : undefined,
+    sub: sub,
     options: opts,
-    encoding: createEncoding(opts),
+    encoding: encoding,
     _prefixNs: _prefixNs,
-    _expiryNs: _prefixNs.concat(opts.expiryNamespace),
-    _lock: new AsyncLock()
+    _expiryNs: _expiryNs,
+    _accessNs: _accessNs,
+    _expiryLowerBound: indexLowerBound(encoding.encode, _expiryNs),
+    _accessLowerBound: indexLowerBound(encoding.encode, _accessNs),
+    // meta data can only be told apart from data when it has its own namespace
+    _nsPrefix: !sub && _prefixNs.length ? namespacePrefix(encoding.encode, _prefixNs) : null,
+    _subPrefix: subPrefix(db, sub),
+    clock: { ...systemClock, ...opts.clock },
+    // any number of calls may wait on a key, like those loading a hot entry
+    _lock: new AsyncLock({ maxPending: Infinity }),
+    // tells the handles sharing a database apart, to elect their sweeper
+    _id: randomUUID(),
+    _sweeper: false,
+    // the entries with a ttl and their size, only counted for bounded stores
+    _capacity: opts.maxEntries < Infinity || opts.maxBytes < Infinity ? { entries: 0, bytes: 0 } : null,
+    _eviction: null,
+    _stats: {
+      lastSweepDuration: null,
+      lastSweepExpired: null,
+      totalExpired: 0,
+      totalEvicted: 0,
+      totalErrors: 0
+    }
   }
 
+  db[opts.methodPrefix + 'get'] = get.bind(null, db)
+  db[opts.methodPrefix + 'getMany'] = getMany.bind(null, db)
+  db[opts.methodPrefix + 'has'] = has.bind(null, db)
+  db[opts.methodPrefix + 'hasMany'] = hasMany.bind(null, db)
+  db[opts.methodPrefix + 'iterator'] = createIterator.bind(null, db, 'iterator')
+  db[opts.methodPrefix + 'keys'] = createIterator.bind(null, db, 'keys')
+  db[opts.methodPrefix + 'values'] = createIterator.bind(null, db, 'values')
   db[opts.methodPrefix + 'put'] = put.bind(null, db)
+  db[opts.methodPrefix + 'getOrSet'] = getOrSet.bind(null, db)
+  db[opts.methodPrefix + 'acquireLease'] = acquireLease.bind(null, db)
+  db[opts.methodPrefix + 'renewLease'] = renewLease.bind(null, db)
+  db[opts.methodPrefix + 'releaseLease'] = releaseLease.bind(null, db)
   db[opts.methodPrefix + 'del'] = del.bind(null, db)
   db[opts.methodPrefix + 'batch'] = batch.bind(null, db)
+  db[opts.methodPrefix + 'clear'] = clear.bind(null, db)
   db[opts.methodPrefix + 'ttl'] = setTtl.bind(null, db)
+  db[opts.methodPrefix + 'expireAt'] = setExpireAt.bind(null, db)
+  db[opts.methodPrefix + 'persist'] = persist.bind(null, db)
+  db[opts.methodPrefix + 'persistMany'] = persistMany.bind(null, db)
+  db[opts.methodPrefix + 'migrateTtl'] = migrateTtl.bind(null, db)
+  db[opts.methodPrefix + 'verify'] = verify.bind(null, db)
+  db[opts.methodPrefix + 'exportStream'] = exportStream.bind(null, db)
+  db[opts.methodPrefix + 'importStream'] = importStream.bind(null, db)
+  db[opts.methodPrefix + 'import'] = importEntries.bind(null, db)
+  db[opts.methodPrefix + 'getExpiry'] = getExpiry.bind(null, db)
+  db[opts.methodPrefix + 'getExpiryMany'] = getExpiryMany.bind(null, db)
+  db[opts.methodPrefix + 'getTtl'] = getTtl.bind(null, db)
+  db[opts.methodPrefix + 'getTtlMany'] = getTtlMany.bind(null, db)
+  db[opts.methodPrefix + 'sweep'] = sweep.bind(null, db)
+  db[opts.methodPrefix + 'ttlReady'] = ttlReady.bind(null, db)
+  db[opts.methodPrefix + 'ttlStats'] = ttlStats.bind(null, db)
   db[opts.methodPrefix + 'stop'] = stopTtl.bind(null, db)
   // we must intercept close()
   db.close = close.bind(null, db)
@@ -0,0 +1,62 @@
+// Runs the expiry checks of all the TTL scopes of a root database from a
+// single interval, so that sublevels with their own TTL don't each need a
+// timer. Each scope is checked every `checkFrequency` milliseconds, rounded
+// to a multiple of the shortest `checkFrequency` of all scopes.
+export class Sweeper {
+  constructor (clock, check) {
+    this._clock = clock
+    this._check = check
+    this._scopes = new Map()
+    this._frequency = null
+    this._intervalId = null
+    this._running = false
+  }
+
+  get size () {
+    return this._scopes.size
+  }
+
+  add (scope, checkFrequency) {
+    this._scopes.set(scope, { checkFrequency, ticks: 0 })
+    this._reset()
+  }
+
+  delete (scope) {
+    this._scopes.delete(scope)
+    this._reset()
+  }
+
+  _reset () {
+    const frequencies = Array.from(this._scopes.values(), state => state.checkFrequency)
+    const frequency = frequencies.length ? Math.min(...frequencies) : null
+    if (frequency === this._frequency) return
+
+    if (this._intervalId !== null) {
+      this._clock.clearInterval(this._intervalId)
+      this._intervalId = null
+    }
+    this._frequency = frequency
+    if (frequency === null) return
+
+    this._intervalId = this._clock.setInterval(() => this._tick(), frequency)
+    if (this._intervalId && this._intervalId.unref) {
+      this._intervalId.unref()
+    }
+  }
+
+  async _tick () {
+    // scopes are checked one after the other, and a slow check delays
+    // the next ones rather than overlapping with them
+    if (this._running) return
+    this._running = true
+    try {
+      for (const [scope, state] of this._scopes) {
+        if (++state.ticks < Math.round(state.checkFrequency / this._frequency)) continue
+        state.ticks = 0
+        await this._check(scope)
+      }
+    } finally {
+      this._running = false
+    }
+  }
+}
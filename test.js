@@ -3,7 +3,8 @@ import should from 'should'
 import { MemoryLevel } from 'memory-level'
 import ttl from './level-ttl.js'
 import bytewise from 'bytewise'
-import { bwRange, contains, getDbEntries, getDbEntriesAfterDelay, numberRange, randomPutBatch, shouldNotBeCalled, wait } from './tests_helpers.js'
+import { pipeline } from 'stream/promises'
+import { bwRange, contains, createClock, getDbEntries, getDbEntriesAfterDelay, numberRange, randomPutBatch, shouldNotBeCalled, timestamp, wait } from './tests_helpers.js'
 
 const bwEncode = bytewise.encode
 const level = opts => new MemoryLevel(opts)
@@ -22,8 +23,8 @@ describe('level-ttl', () => {
     await ttldb.batch(batch, { ttl: 10000 })
     const entries = await getDbEntries(db)
     batch.forEach(item => {
-      contains(entries, '!meta!' + item.key, /\d{13}/)
-      contains(entries, new RegExp('!meta!x!\\d{13}!' + item.key), item.key)
+      contains(entries, '!meta!' + item.key, /\d{16}/)
+      contains(entries, new RegExp('!meta!x!\\d{16}!' + item.key), item.key)
     })
   })
 
@@ -85,14 +86,15 @@ describe('put', () => {
     await db.put('foo', 'foovalue')
     await db.put('bar', 'barvalue', { ttl: 100 })
     const entries = await getDbEntries(db)
-    contains(entries, /!ttl!x!\d{13}!bar/, 'bar')
-    contains(entries, '!ttl!bar', /\d{13}/)
+    contains(entries, /!ttl!x!\d{16}!bar/, 'bar')
+    contains(entries, '!ttl!bar', /\d{16}/)
     contains(entries, 'bar', 'barvalue')
     contains(entries, 'foo', 'foovalue')
   })
 
   it('should put a single ttl entry (custom ttlEncoding)', async () => {
-    const db = levelTtl({ checkFrequency: 50, ttlEncoding: bytewise })
+    const clock = createClock()
+    const db = levelTtl({ clock, ttlEncoding: bytewise })
     await db.put('foo', 'foovalue')
     await db.put('bar', 'barvalue', { ttl: 100 })
     const entries = await getDbEntries(db, { keyEncoding: 'binary', valueEncoding: 'binary' })
@@ -100,7 +102,9 @@ describe('put', () => {
     contains(entries, bwEncode(['ttl', 'bar']), bwRange())
     contains(entries, Buffer.from('bar'), Buffer.from('barvalue'))
     contains(entries, Buffer.from('foo'), Buffer.from('foovalue'))
-    const updatedEntries = await getDbEntriesAfterDelay(db, 150)
+    clock.advance(100)
+    await db.sweep()
+    const updatedEntries = await getDbEntries(db)
     updatedEntries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
   })
 
@@ -112,18 +116,18 @@ describe('put', () => {
       contains(entries, 'afoo', 'foovalue')
       if (keysCount >= 1) {
         contains(entries, 'bar1', 'barvalue1')
-        contains(entries, /^!ttl!x!\d{13}!bar1$/, 'bar1')
-        contains(entries, '!ttl!bar1', /^\d{13}$/)
+        contains(entries, /^!ttl!x!\d{16}!bar1$/, 'bar1')
+        contains(entries, '!ttl!bar1', /^\d{16}$/)
       }
       if (keysCount >= 2) {
         contains(entries, 'bar2', 'barvalue2')
-        contains(entries, /^!ttl!x!\d{13}!bar2$/, 'bar2')
-        contains(entries, '!ttl!bar2', /^\d{13}$/)
+        contains(entries, /^!ttl!x!\d{16}!bar2$/, 'bar2')
+        contains(entries, '!ttl!bar2', /^\d{16}$/)
       }
       if (keysCount >= 3) {
         contains(entries, 'bar3', 'barvalue3')
-        contains(entries, /^!ttl!x!\d{13}!bar3$/, 'bar3')
-        contains(entries, '!ttl!bar3', /^\d{13}$/)
+        contains(entries, /^!ttl!x!\d{16}!bar3$/, 'bar3')
+        contains(entries, '!ttl!bar3', /^\d{16}$/)
       }
     }
 
@@ -184,8 +188,8 @@ describe('put', () => {
       const entries = await getDbEntriesAfterDelay(db, 50)
       contains(entries, 'foo', 'foovalue')
       contains(entries, 'bar', 'barvalue')
-      contains(entries, /!ttl!x!\d{13}!bar/, 'bar')
-      contains(entries, '!ttl!bar', /\d{13}/)
+      contains(entries, /!ttl!x!\d{16}!bar/, 'bar')
+      contains(entries, '!ttl!bar', /\d{16}/)
     }
   })
 
@@ -209,7 +213,7 @@ describe('put', () => {
       db.put('bar', 'barvalue', { ttl: 20 })
       const entries = await getDbEntriesAfterDelay(db, 50)
       const count = entries.filter(entry => {
-        return /!ttl!x!\d{13}!bar/.exec(entry.key)
+        return /!ttl!x!\d{16}!bar/.exec(entry.key)
       }).length
       count.should.be.belowOrEqual(1)
     }
@@ -269,8 +273,8 @@ describe('del', () => {
     const entries = await getDbEntriesAfterDelay(db, 150)
     contains(entries, 'foo', 'foovalue')
     contains(entries, 'bar', 'barvalue')
-    contains(entries, /!ttl!x!\d{13}!bar/, 'bar')
-    contains(entries, '!ttl!bar', /\d{13}/)
+    contains(entries, /!ttl!x!\d{16}!bar/, 'bar')
+    contains(entries, '!ttl!bar', /\d{16}/)
 
     setTimeout(() => db.del('bar'), 250)
 
@@ -310,23 +314,23 @@ describe('batch', () => {
       contains(entries, 'afoo', 'foovalue')
       if (keysCount >= 1) {
         contains(entries, 'bar1', 'barvalue1')
-        contains(entries, /^!ttl!x!\d{13}!bar1$/, 'bar1')
-        contains(entries, '!ttl!bar1', /^\d{13}$/)
+        contains(entries, /^!ttl!x!\d{16}!bar1$/, 'bar1')
+        contains(entries, '!ttl!bar1', /^\d{16}$/)
       }
       if (keysCount >= 2) {
         contains(entries, 'bar2', 'barvalue2')
-        contains(entries, /^!ttl!x!\d{13}!bar2$/, 'bar2')
-        contains(entries, '!ttl!bar2', /^\d{13}$/)
+        contains(entries, /^!ttl!x!\d{16}!bar2$/, 'bar2')
+        contains(entries, '!ttl!bar2', /^\d{16}$/)
       }
       if (keysCount >= 3) {
         contains(entries, 'bar3', 'barvalue3')
-        contains(entries, /^!ttl!x!\d{13}!bar3$/, 'bar3')
-        contains(entries, '!ttl!bar3', /^\d{13}$/)
+        contains(entries, /^!ttl!x!\d{16}!bar3$/, 'bar3')
+        contains(entries, '!ttl!bar3', /^\d{16}$/)
       }
       if (keysCount >= 3) {
         contains(entries, 'bar4', 'barvalue4')
-        contains(entries, /^!ttl!x!\d{13}!bar4$/, 'bar4')
-        contains(entries, '!ttl!bar4', /^\d{13}$/)
+        contains(entries, /^!ttl!x!\d{16}!bar4$/, 'bar4')
+        contains(entries, '!ttl!bar4', /^\d{16}$/)
       }
     }
 
@@ -405,6 +409,64 @@ describe('batch', () => {
   })
 })
 
+describe('batch (per-operation ttl)', () => {
+  it('should use the ttl of each operation', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    await db.batch([
+      { type: 'put', key: 'afoo', value: 'foovalue' },
+      { type: 'put', key: 'bar1', value: 'barvalue1', ttl: 50 },
+      { type: 'put', key: 'bar2', value: 'barvalue2', ttl: 10000 },
+      { type: 'put', key: 'bar3', value: 'barvalue3', expireAt: Date.now() + 50 },
+      { type: 'put', key: 'bar4', value: 'barvalue4', expireAt: new Date(Date.now() + 10000) }
+    ])
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(1 + 4 * 3)
+    const updatedEntries = await getDbEntriesAfterDelay(db, 150)
+    updatedEntries.length.should.equal(1 + 2 * 3)
+    contains(updatedEntries, 'afoo', 'foovalue')
+    contains(updatedEntries, 'bar2', 'barvalue2')
+    contains(updatedEntries, 'bar4', 'barvalue4')
+  })
+
+  it('should fall back to the ttl of the batch', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    await db.batch([
+      { type: 'put', key: 'bar1', value: 'barvalue1' },
+      { type: 'put', key: 'bar2', value: 'barvalue2', ttl: 10000 },
+      { type: 'put', key: 'bar3', value: 'barvalue3', ttl: 0 }
+    ], { ttl: 50 })
+    const entries = await getDbEntriesAfterDelay(db, 150)
+    entries.length.should.equal(3 + 1)
+    contains(entries, 'bar2', 'barvalue2')
+    contains(entries, '!ttl!bar2', /\d{16}/)
+    contains(entries, 'bar3', 'barvalue3')
+  })
+
+  it('should group entries sharing an expiry time', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    const expireAt = Date.now() + 10000
+    await db.batch([
+      { type: 'put', key: 'bar1', value: 'barvalue1', expireAt },
+      { type: 'put', key: 'bar2', value: 'barvalue2', expireAt },
+      { type: 'put', key: 'bar3', value: 'barvalue3', ttl: 20000 }
+    ])
+    const entries = await getDbEntries(db)
+    contains(entries, `!ttl!x!${timestamp(expireAt)}!bar1`, 'bar1')
+    contains(entries, `!ttl!x!${timestamp(expireAt)}!bar2`, 'bar2')
+    contains(entries, '!ttl!bar3', /\d{16}/)
+  })
+
+  it('should let the last operation on a key decide of its ttl', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    await db.batch([
+      { type: 'put', key: 'bar1', value: 'barvalue1', ttl: 10000 },
+      { type: 'put', key: 'bar1', value: 'barvalue1', ttl: 50 }
+    ])
+    const entries = await getDbEntriesAfterDelay(db, 150)
+    entries.length.should.equal(0)
+  })
+})
+
 async function basicBatchPutTest (db, timeout, opts) {
   await db.batch([
     { type: 'put', key: 'foo', value: 'foovalue' },
@@ -418,6 +480,164 @@ async function basicBatchPutTest (db, timeout, opts) {
   res2.should.deepEqual([undefined, undefined])
 }
 
+describe('get', () => {
+  it('should not return an expired entry before it is swept', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 50 })
+    should(await db.get('bar')).equal('barvalue')
+    await wait(75)
+    should(await db.get('bar')).be.undefined()
+    should(await db.get('foo')).equal('foovalue')
+    const entries = await getDbEntries(db)
+    contains(entries, 'bar', 'barvalue')
+  })
+
+  it('should not return an expired entry before it is swept (custom ttlEncoding)', async () => {
+    const db = levelTtl({ checkFrequency: 10000, ttlEncoding: bytewise })
+    await db.put('bar', 'barvalue', { ttl: 50 })
+    should(await db.get('bar')).equal('barvalue')
+    await wait(75)
+    should(await db.get('bar')).be.undefined()
+  })
+
+  it('should not return an expired entry before it is swept (sub)', async () => {
+    const db = new MemoryLevel()
+    const ttldb = ttl(db, { checkFrequency: 10000, sub: db.sublevel('meta') })
+    await ttldb.put('bar', 'barvalue', { ttl: 50 })
+    should(await ttldb.get('bar')).equal('barvalue')
+    await wait(75)
+    should(await ttldb.get('bar')).be.undefined()
+  })
+})
+
+describe('getMany', () => {
+  it('should not return expired entries before they are swept', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 50 })
+    await db.put('baz', 'bazvalue', { ttl: 10000 })
+    const res = await db.getMany(['foo', 'bar', 'missing', 'baz'])
+    res.should.deepEqual(['foovalue', 'barvalue', undefined, 'bazvalue'])
+    await wait(75)
+    const res2 = await db.getMany(['foo', 'bar', 'missing', 'baz'])
+    res2.should.deepEqual(['foovalue', undefined, undefined, 'bazvalue'])
+  })
+})
+
+describe('has', () => {
+  it('should not find expired entries before they are swept', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 50 })
+    await db.put('baz', 'bazvalue', { ttl: 10000 })
+    should(await db.has('bar')).be.true()
+    clock.advance(50)
+    should(await db.has('bar')).be.false()
+    should(await db.has('foo')).be.true()
+    should(await db.hasMany(['foo', 'bar', 'missing', 'baz'])).deepEqual([true, false, false, true])
+    const entries = await getDbEntries(db)
+    contains(entries, 'bar', 'barvalue')
+  })
+})
+
+describe('iterator', () => {
+  async function fillDb (db) {
+    await db.put('afoo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 50 })
+    await db.put('baz', 'bazvalue', { ttl: 10000 })
+    await wait(75)
+  }
+
+  it('should not filter entries by default', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await fillDb(db)
+    const entries = await db.iterator().all()
+    entries.length.should.equal(7)
+  })
+
+  it('should skip expired entries and ttl meta data', async () => {
+    const db = levelTtl({ checkFrequency: 10000, filterExpired: true })
+    await fillDb(db)
+    const entries = await db.iterator().all()
+    entries.should.deepEqual([['afoo', 'foovalue'], ['baz', 'bazvalue']])
+    const keys = await db.keys().all()
+    keys.should.deepEqual(['afoo', 'baz'])
+    const values = await db.values().all()
+    values.should.deepEqual(['foovalue', 'bazvalue'])
+  })
+
+  it('should skip expired entries and ttl meta data (custom ttlEncoding)', async () => {
+    const db = levelTtl({ checkFrequency: 10000, filterExpired: true, ttlEncoding: bytewise })
+    await fillDb(db)
+    const entries = await db.iterator().all()
+    entries.should.deepEqual([['afoo', 'foovalue'], ['baz', 'bazvalue']])
+  })
+
+  it('should skip expired entries (sub)', async () => {
+    const db = new MemoryLevel()
+    const sub = db.sublevel('meta')
+    const ttldb = ttl(db, { checkFrequency: 10000, filterExpired: true, sub })
+    await fillDb(ttldb)
+    const keys = await ttldb.keys({ gt: 'a', lt: 'c' }).all()
+    keys.should.deepEqual(['afoo', 'baz'])
+  })
+
+  it('should allow to override filterExpired per iterator', async () => {
+    const db = levelTtl({ checkFrequency: 10000, filterExpired: true })
+    await fillDb(db)
+    const entries = await db.iterator({ filterExpired: false }).all()
+    entries.length.should.equal(7)
+    const db2 = levelTtl({ checkFrequency: 10000 })
+    await fillDb(db2)
+    const entries2 = await db2.iterator({ filterExpired: true }).all()
+    entries2.length.should.equal(2)
+  })
+
+  it('should apply the limit to the filtered entries', async () => {
+    const db = levelTtl({ checkFrequency: 10000, filterExpired: true })
+    await fillDb(db)
+    const it = db.keys({ limit: 1, reverse: true })
+    const keys = []
+    for await (const key of it) keys.push(key)
+    keys.should.deepEqual(['baz'])
+  })
+
+  it('should encode ranges and seek targets with the key encoding', async () => {
+    const db = levelTtl({ checkFrequency: 10000, filterExpired: true, keyEncoding: 'json' })
+    await db.put('a', 'avalue', { ttl: 10000 })
+    await db.put('b', 'bvalue', { ttl: 10000 })
+    await db.put('c', 'cvalue')
+    should(await db.keys({ gte: 'b' }).all()).deepEqual(['b', 'c'])
+    should(await db.keys({ gt: 'a', lt: 'c' }).all()).deepEqual(['b'])
+    const it = db.keys()
+    it.seek('b')
+    should(await it.next()).equal('b')
+    it.seek('"c"', { keyEncoding: 'utf8' })
+    should(await it.next()).equal('c')
+    await it.close()
+  })
+
+  it('should filter streams', async () => {
+    const db = levelTtl({ checkFrequency: 10000, filterExpired: true })
+    await fillDb(db)
+    const entries = await getDbEntries(db)
+    entries.should.deepEqual([
+      { key: 'afoo', value: 'foovalue' },
+      { key: 'baz', value: 'bazvalue' }
+    ])
+  })
+
+  it('should still expire entries', async () => {
+    const db = levelTtl({ checkFrequency: 25, filterExpired: true })
+    await fillDb(db)
+    await wait(50)
+    const entries = await db.iterator({ filterExpired: false }).all()
+    entries.length.should.equal(4)
+  })
+})
+
 describe('ttl', () => {
   it('should prolong entry life', async () => {
     const db = levelTtl({ checkFrequency: 50 })
@@ -428,8 +648,8 @@ describe('ttl', () => {
       const entries = await getDbEntriesAfterDelay(db, 25)
       contains(entries, 'foo', 'foovalue')
       contains(entries, 'bar', 'barvalue')
-      contains(entries, /!ttl!x!\d{13}!bar/, 'bar')
-      contains(entries, '!ttl!bar', /\d{13}/)
+      contains(entries, /!ttl!x!\d{16}!bar/, 'bar')
+      contains(entries, '!ttl!bar', /\d{16}/)
     }
   })
 
@@ -446,6 +666,1913 @@ describe('ttl', () => {
       contains(entries, bwEncode(['ttl', 'bar']), bwRange())
     }
   })
+
+  it('should resolve once the ttl is written', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.put('foo', 'foovalue')
+    await db.ttl('foo', 10000)
+    const entries = await getDbEntries(db)
+    contains(entries, /^!ttl!x!\d{16}!foo$/, 'foo')
+    contains(entries, '!ttl!foo', /^\d{16}$/)
+  })
+})
+
+describe('meta data write errors', () => {
+  // meta data stored in another database is written on its own
+  function failingMetaDb () {
+    const sub = level()
+    sub.batch = async function () { throw new Error('boom') }
+    return ttl(level(), { checkFrequency: 10000, sub })
+  }
+
+  async function shouldReject (promise) {
+    try {
+      await promise
+      shouldNotBeCalled()
+    } catch (err) {
+      err.message.should.equal('boom')
+    }
+  }
+
+  it('should reject put', async () => {
+    await shouldReject(failingMetaDb().put('foo', 'foovalue', { ttl: 100 }))
+  })
+
+  it('should reject batch', async () => {
+    await shouldReject(failingMetaDb().batch([{ type: 'put', key: 'foo', value: 'foovalue' }], { ttl: 100 }))
+  })
+
+  it('should reject ttl and expireAt', async () => {
+    const db = failingMetaDb()
+    await shouldReject(db.ttl('foo', 100))
+    await shouldReject(db.expireAt('foo', Date.now() + 100))
+  })
+
+  it('should reject persist and del', async () => {
+    const sub = level()
+    const ttldb = ttl(level(), { checkFrequency: 10000, sub })
+    await ttldb.put('foo', 'foovalue', { ttl: 100 })
+    sub.batch = async function () { throw new Error('boom') }
+    await shouldReject(ttldb.persist('foo'))
+    await shouldReject(ttldb.del('foo'))
+    should(await ttldb.get('foo')).equal('foovalue')
+  })
+
+  it('should not emit error events', async () => {
+    const db = failingMetaDb()
+    db.on('error', shouldNotBeCalled)
+    await shouldReject(db.put('foo', 'foovalue', { ttl: 100 }))
+  })
+})
+
+describe('atomic writes', () => {
+  function countWrites (db) {
+    const writes = []
+    db.on('write', ops => writes.push(ops.length))
+    return writes
+  }
+
+  function failOn (db, test) {
+    db.hooks.prewrite.add(function (op) {
+      if (test(op)) throw new Error('boom')
+    })
+  }
+
+  it('should write data and meta data in a single batch', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    const writes = countWrites(db)
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    await db.batch([{ type: 'put', key: 'bar', value: 'barvalue' }], { ttl: 100 })
+    await db.put('foo', 'foovalue', { ttl: 200 })
+    await db.del('bar')
+    writes.should.deepEqual([3, 3, 4, 3])
+  })
+
+  it('should write meta data in a sublevel of the same database in a single batch', async () => {
+    const db = level()
+    const ttldb = ttl(db, { checkFrequency: 10000, sub: db.sublevel('meta') })
+    const writes = countWrites(db)
+    await ttldb.put('foo', 'foovalue', { ttl: 100 })
+    writes.should.deepEqual([3])
+  })
+
+  it('should not write meta data when the data can\'t be written', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    failOn(db, op => op.key === 'foo')
+    try {
+      await db.put('foo', 'foovalue', { ttl: 100 })
+      shouldNotBeCalled()
+    } catch (err) {
+      err.cause.message.should.equal('boom')
+    }
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(0)
+  })
+
+  it('should not delete data when its meta data can\'t be removed', async () => {
+    const db = level()
+    const sub = db.sublevel('meta')
+    const ttldb = ttl(db, { checkFrequency: 10000, sub })
+    await ttldb.put('foo', 'foovalue', { ttl: 100 })
+    failOn(db, op => op.sublevel === sub)
+    try {
+      await ttldb.del('foo')
+      shouldNotBeCalled()
+    } catch (err) {
+      err.cause.message.should.equal('boom')
+    }
+    should(await ttldb.get('foo')).equal('foovalue')
+    should(await ttldb.getTtl('foo')).be.above(0)
+  })
+})
+
+describe('expireAt', () => {
+  it('should put an entry expiring at a given date', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    const expireAt = new Date(Date.now() + 50)
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { expireAt })
+    const entries = await getDbEntries(db)
+    contains(entries, `!ttl!x!${timestamp(expireAt)}!bar`, 'bar')
+    contains(entries, '!ttl!bar', timestamp(expireAt))
+    const updatedEntries = await getDbEntriesAfterDelay(db, 150)
+    updatedEntries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  it('should prefer expireAt over ttl and defaultTTL', async () => {
+    const db = levelTtl({ checkFrequency: 25, defaultTTL: 50 })
+    await db.put('bar', 'barvalue', { ttl: 50, expireAt: Date.now() + 10000 })
+    await db.batch([{ type: 'put', key: 'baz', value: 'bazvalue' }], { expireAt: Date.now() + 10000 })
+    const entries = await getDbEntriesAfterDelay(db, 150)
+    contains(entries, 'bar', 'barvalue')
+    contains(entries, 'baz', 'bazvalue')
+  })
+
+  it('should set the expiry date of an existing entry', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 10000 })
+    const expireAt = Date.now() + 50
+    await db.expireAt('bar', expireAt)
+    await wait(10)
+    const entries = await getDbEntries(db)
+    contains(entries, `!ttl!x!${timestamp(expireAt)}!bar`, 'bar')
+    contains(entries, '!ttl!bar', timestamp(expireAt))
+    entries.length.should.equal(1 + 3)
+    const updatedEntries = await getDbEntriesAfterDelay(db, 150)
+    updatedEntries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+})
+
+describe('invalid expiry times', () => {
+  async function shouldReject (promise) {
+    const err = await promise.should.be.rejectedWith(TypeError)
+    err.message.should.equal('Expiry time must be a valid date')
+  }
+
+  it('should reject them without writing anything', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.put('foo', 'foovalue')
+    await shouldReject(db.put('a', 'avalue', { expireAt: 'tomorrow' }))
+    await shouldReject(db.put('b', 'bvalue', { expireAt: new Date('tomorrow') }))
+    await shouldReject(db.put('c', 'cvalue', { ttl: 1e20 }))
+    await shouldReject(db.batch([{ type: 'put', key: 'd', value: 'dvalue', expireAt: 'tomorrow' }]))
+    await shouldReject(db.batch([{ type: 'put', key: 'e', value: 'evalue' }], { ttl: 1e20 }))
+    await shouldReject(db.expireAt('foo', 'garbage'))
+    await shouldReject(db.ttl('foo', 1e20))
+    await shouldReject(db.acquireLease('f', 'owner', 1e20))
+    const entries = await getDbEntries(db)
+    entries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  it('should accept the latest date', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.put('foo', 'foovalue', { expireAt: 8.64e15 })
+    should(await db.getExpiry('foo')).deepEqual(new Date(8.64e15))
+  })
+})
+
+describe('persist', () => {
+  it('should remove the ttl of an entry', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    await db.put('foo', 'foovalue', { ttl: 50 })
+    await db.persist('foo')
+    const entries = await getDbEntriesAfterDelay(db, 150)
+    entries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  it('should remove the ttl of several entries', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    await db.batch(randomPutBatch(5).concat({ type: 'put', key: 'foo', value: 'foovalue' }), { ttl: 50 })
+    await db.batch(randomPutBatch(5), { ttl: 50 })
+    await db.persistMany(['foo', 'missing'])
+    const entries = await getDbEntriesAfterDelay(db, 150)
+    entries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  it('should remove the ttl of an entry (sub)', async () => {
+    const db = new MemoryLevel()
+    const sub = db.sublevel('meta')
+    const ttldb = ttl(db, { checkFrequency: 25, sub })
+    await ttldb.put('foo', 'foovalue', { ttl: 50 })
+    await ttldb.persist('foo')
+    const entries = await getDbEntriesAfterDelay(db, 150)
+    entries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  for (const ttlValue of [0, Infinity]) {
+    it(`should remove the ttl of an entry put with a ttl of ${ttlValue}`, async () => {
+      const db = levelTtl({ checkFrequency: 25 })
+      await db.put('foo', 'foovalue', { ttl: 50 })
+      await db.put('foo', 'foovalue2', { ttl: ttlValue })
+      const entries = await getDbEntriesAfterDelay(db, 150)
+      entries.should.deepEqual([{ key: 'foo', value: 'foovalue2' }])
+    })
+
+    it(`should remove the ttl of entries batched with a ttl of ${ttlValue}`, async () => {
+      const db = levelTtl({ checkFrequency: 25 })
+      await db.batch([
+        { type: 'put', key: 'foo', value: 'foovalue' },
+        { type: 'put', key: 'bar', value: 'barvalue' }
+      ], { ttl: 50 })
+      await db.batch([{ type: 'put', key: 'foo', value: 'foovalue2' }], { ttl: ttlValue })
+      await db.batch([{ type: 'put', key: 'bar', value: 'barvalue2', ttl: ttlValue }], { ttl: 50 })
+      const entries = await getDbEntriesAfterDelay(db, 150)
+      entries.should.deepEqual([
+        { key: 'bar', value: 'barvalue2' },
+        { key: 'foo', value: 'foovalue2' }
+      ])
+    })
+  }
+})
+
+describe('getExpiry', () => {
+  it('should get the expiry date of entries', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    const expireAt = Date.now() + 10000
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { expireAt })
+    const expiry = await db.getExpiry('bar')
+    expiry.should.be.instanceof(Date)
+    should(+expiry).equal(expireAt)
+    should(await db.getExpiry('foo')).be.undefined()
+    const expiries = await db.getExpiryMany(['foo', 'bar', 'missing'])
+    expiries.map(date => date && +date).should.deepEqual([undefined, expireAt, undefined])
+  })
+
+  it('should get the expiry date of entries (custom ttlEncoding)', async () => {
+    const db = levelTtl({ checkFrequency: 10000, ttlEncoding: bytewise })
+    const expireAt = Date.now() + 10000
+    await db.put('bar', 'barvalue', { expireAt })
+    should(+(await db.getExpiry('bar'))).equal(expireAt)
+  })
+
+  it('should get the expiry date of entries (sub)', async () => {
+    const db = new MemoryLevel()
+    const ttldb = ttl(db, { checkFrequency: 10000, sub: db.sublevel('meta') })
+    const expireAt = Date.now() + 10000
+    await ttldb.put('bar', 'barvalue', { expireAt })
+    should(+(await ttldb.getExpiry('bar'))).equal(expireAt)
+  })
+})
+
+describe('getTtl', () => {
+  it('should get the remaining ttl of entries', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 10000 })
+    await db.put('baz', 'bazvalue', { ttl: 10 })
+    await wait(20)
+    const ttl = await db.getTtl('bar')
+    ttl.should.be.within(9000, 10000)
+    should(await db.getTtl('foo')).be.undefined()
+    const ttls = await db.getTtlMany(['foo', 'baz'])
+    ttls.should.deepEqual([undefined, 0])
+  })
+})
+
+describe('expiration events', () => {
+  it('should emit expired events', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    const expired = []
+    const expiredMany = []
+    db.on('expired', (key, value) => expired.push([key, value]))
+    db.on('expiredMany', (keys, values) => expiredMany.push([keys, values]))
+    await db.put('foo', 'foovalue')
+    await db.batch([
+      { type: 'put', key: 'bar1', value: 'barvalue1' },
+      { type: 'put', key: 'bar2', value: 'barvalue2' }
+    ], { ttl: 50 })
+    await wait(150)
+    expired.should.deepEqual([['bar1', undefined], ['bar2', undefined]])
+    expiredMany.should.deepEqual([[['bar1', 'bar2'], undefined]])
+  })
+
+  it('should include expired values', async () => {
+    const db = levelTtl({ checkFrequency: 25, expiredValues: true })
+    const expired = []
+    const expiredMany = []
+    db.on('expired', (key, value) => expired.push([key, value]))
+    db.on('expiredMany', (keys, values) => expiredMany.push([keys, values]))
+    await db.batch([
+      { type: 'put', key: 'bar1', value: 'barvalue1' },
+      { type: 'put', key: 'bar2', value: 'barvalue2' }
+    ], { ttl: 50 })
+    await wait(150)
+    expired.should.deepEqual([['bar1', 'barvalue1'], ['bar2', 'barvalue2']])
+    expiredMany.should.deepEqual([[['bar1', 'bar2'], ['barvalue1', 'barvalue2']]])
+  })
+
+  it('should include expired values (sub)', async () => {
+    const db = new MemoryLevel({ valueEncoding: 'json' })
+    const ttldb = ttl(db, { checkFrequency: 25, expiredValues: true, sub: db.sublevel('meta') })
+    const expired = []
+    ttldb.on('expired', (key, value) => expired.push([key, value]))
+    await ttldb.put('bar', { v: 'barvalue' }, { ttl: 50 })
+    await wait(150)
+    expired.should.deepEqual([['bar', { v: 'barvalue' }]])
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(0)
+  })
+
+  it('should emit errors as expireError events', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    const errors = []
+    db.on('expired', () => { throw new Error('listener error') })
+    db.on('expireError', err => errors.push(err))
+    await db.put('bar', 'barvalue', { ttl: 50 })
+    await wait(150)
+    errors.length.should.equal(1)
+    errors[0].message.should.equal('listener error')
+  })
+  it('should notify the other keys and chunks despite listener errors', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sweepBatchSize: 2 })
+    const expired = []
+    const chunks = []
+    const errors = []
+    db.on('expired', key => {
+      if (key === 'bar1') throw new Error('listener error')
+    })
+    db.on('expired', key => expired.push(key))
+    db.on('expiredMany', keys => chunks.push(keys))
+    db.on('expireError', err => errors.push(err.message))
+    await db.batch(['bar1', 'bar2', 'bar3'].map(key => ({ type: 'put', key, value: key })), { ttl: 50 })
+    clock.advance(50)
+    await db.sweep()
+    errors.should.deepEqual(['listener error'])
+    expired.should.deepEqual(['bar2', 'bar3'])
+    chunks.should.deepEqual([['bar1', 'bar2'], ['bar3']])
+    should(await db.keys().all()).deepEqual([])
+  })
+})
+
+describe('beforeExpire', () => {
+  it('should be called with the key and value of expiring entries', async () => {
+    const calls = []
+    const db = levelTtl({
+      checkFrequency: 25,
+      beforeExpire: (key, value) => { calls.push([key, value]) }
+    })
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 50 })
+    const entries = await getDbEntriesAfterDelay(db, 150)
+    entries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+    calls.should.deepEqual([['bar', 'barvalue']])
+  })
+
+  it('should keep entries when returning false', async () => {
+    let calls = 0
+    const expired = []
+    const db = levelTtl({
+      checkFrequency: 25,
+      beforeExpire: async key => {
+        calls++
+        return key !== 'bar1'
+      }
+    })
+    db.on('expired', key => expired.push(key))
+    await db.batch([
+      { type: 'put', key: 'bar1', value: 'barvalue1' },
+      { type: 'put', key: 'bar2', value: 'barvalue2' }
+    ], { ttl: 50 })
+    const entries = await getDbEntriesAfterDelay(db, 150)
+    entries.length.should.equal(3)
+    contains(entries, 'bar1', 'barvalue1')
+    contains(entries, /!ttl!x!\d{16}!bar1/, 'bar1')
+    expired.should.deepEqual(['bar2'])
+    calls.should.be.above(2)
+  })
+
+  it('should renew the ttl of entries when returning a number', async () => {
+    let renewed = false
+    const db = levelTtl({
+      checkFrequency: 25,
+      beforeExpire: () => {
+        if (renewed) return
+        renewed = true
+        return 100
+      }
+    })
+    await db.put('bar', 'barvalue', { ttl: 50 })
+    const entries = await getDbEntriesAfterDelay(db, 100)
+    entries.length.should.equal(3)
+    should(await db.getTtl('bar')).be.above(0)
+    const updatedEntries = await getDbEntriesAfterDelay(db, 150)
+    updatedEntries.length.should.equal(0)
+  })
+
+  it('should push back the expiry time of entries it keeps', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, checkFrequency: 1000, beforeExpire: () => false })
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    clock.advance(100)
+    await db.sweep()
+    should(await db.get('foo')).equal('foovalue')
+    should(await db.getMany(['foo'])).deepEqual(['foovalue'])
+    should(await db.getTtl('foo')).equal(1000)
+    should(await db.keys({ filterExpired: true }).all()).deepEqual(['foo'])
+  })
+
+  it('should let it write the expiring keys', async () => {
+    const clock = createClock()
+    const expired = []
+    const db = levelTtl({
+      clock,
+      beforeExpire: async key => {
+        if (key === 'foo') await db.ttl(key, 1000)
+        if (key === 'bar') await db.put(key, 'barvalue2', { ttl: 2000 })
+      }
+    })
+    db.on('expired', key => expired.push(key))
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    await db.put('bar', 'barvalue', { ttl: 100 })
+    await db.put('baz', 'bazvalue', { ttl: 100 })
+    clock.advance(100)
+    await db.sweep()
+    expired.should.deepEqual(['baz'])
+    should(await db.getMany(['foo', 'bar', 'baz'])).deepEqual(['foovalue', 'barvalue2', undefined])
+    should(await db.getTtlMany(['foo', 'bar'])).deepEqual([1000, 2000])
+  })
+
+  it('should be asked again when the value changed before it was applied', async () => {
+    const clock = createClock()
+    const calls = []
+    const expired = []
+    const db = levelTtl({
+      clock,
+      beforeExpire: async (key, value) => {
+        calls.push(value)
+        // written without a ttl, the entry keeps its expiry record
+        if (value === 'foovalue') await db.put(key, 'foovalue2')
+        if (value === 'foovalue2') return 1000
+      }
+    })
+    db.on('expired', key => expired.push(key))
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    clock.advance(100)
+    await db.sweep()
+    calls.should.deepEqual(['foovalue', 'foovalue2'])
+    expired.should.deepEqual([])
+    should(await db.get('foo')).equal('foovalue2')
+    should(await db.getTtl('foo')).equal(1000)
+  })
+
+  it('should report errors as expireError events', async () => {
+    const errors = []
+    const db = levelTtl({
+      checkFrequency: 25,
+      beforeExpire: () => { throw new Error('hook error') }
+    })
+    db.on('expireError', err => errors.push(err))
+    await db.put('bar', 'barvalue', { ttl: 25 })
+    await wait(100)
+    await db.stop()
+    errors.length.should.be.above(0)
+    errors[0].message.should.equal('hook error')
+    const entries = await getDbEntries(db)
+    contains(entries, 'bar', 'barvalue')
+  })
+})
+
+describe('expiry check concurrency', () => {
+  it('should not expire an entry refreshed after its expiry record was read', async () => {
+    const clock = createClock()
+    const db = new MemoryLevel()
+    const sub = db.sublevel('meta')
+    const ttldb = ttl(db, { clock, sub })
+    await ttldb.ttlReady()
+    await ttldb.put('bar', 'barvalue', { ttl: 10 })
+    await ttldb.put('foo', 'foovalue', { ttl: 10 })
+
+    // refresh bar right after the expiry check has read its expiry record
+    const _iterator = sub.iterator
+    let refreshed
+    sub.iterator = function (options) {
+      sub.iterator = _iterator
+      const it = _iterator.call(sub, options)
+      const _nextv = it.nextv
+      it.nextv = async function (size, options) {
+        const entries = await _nextv.call(it, size, options)
+        if (entries.length && !refreshed) {
+          refreshed = ttldb.put('bar', 'barvalue2', { ttl: 10000 })
+          await refreshed
+        }
+        return entries
+      }
+      return it
+    }
+
+    clock.advance(10)
+    await ttldb.sweep()
+    should(refreshed).be.ok()
+    const entries = await getDbEntries(db)
+    contains(entries, 'bar', 'barvalue2')
+    contains(entries, '!meta!bar', timestamp(clock.now() + 10000))
+    contains(entries, `!meta!x!${timestamp(clock.now() + 10000)}!bar`, 'bar')
+    entries.length.should.equal(3)
+  })
+
+  it('should not expire an entry put while the expiry check holds its lock', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.ttlReady()
+    await db.put('bar', 'barvalue', { ttl: 10 })
+
+    // put bar once the expiry check has locked it and reads its meta data
+    const _getMany = db._ttl.getMany
+    let put
+    db._ttl.getMany = function (...args) {
+      db._ttl.getMany = _getMany
+      put = db.put('bar', 'barvalue2', { ttl: 10000 })
+      return _getMany(...args)
+    }
+
+    clock.advance(10)
+    const expired = []
+    db.on('expired', key => expired.push(key))
+    await db.sweep()
+    should(put).be.ok()
+    await put
+    expired.should.deepEqual(['bar'])
+    const entries = await getDbEntries(db)
+    contains(entries, 'bar', 'barvalue2')
+    contains(entries, '!ttl!bar', timestamp(clock.now() + 10000))
+    entries.length.should.equal(3)
+  })
+
+  it('should remove outdated expiry records', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.ttlReady()
+    await db.put('bar', 'barvalue', { ttl: 10000 })
+    // leftover of an interrupted ttl update
+    await db._ttl.put(`!ttl!x!${timestamp(clock.now() - 1000)}!bar`, 'bar')
+    await db.sweep()
+    const entries = await getDbEntries(db)
+    contains(entries, 'bar', 'barvalue')
+    contains(entries, `!ttl!x!${timestamp(clock.now() + 10000)}!bar`, 'bar')
+    entries.length.should.equal(3)
+  })
+})
+
+describe('chunked expiry checks', () => {
+  it('should expire entries in chunks of sweepBatchSize', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sweepBatchSize: 2 })
+    await db.ttlReady()
+    const chunks = []
+    db.on('expiredMany', keys => chunks.push(keys.length))
+    await db.batch(randomPutBatch(5), { ttl: 10 })
+    clock.advance(10)
+    await db.sweep()
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(0)
+    chunks.should.deepEqual([2, 2, 1])
+  })
+
+  it('should leave entries beyond maxExpiriesPerSweep to the next check', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sweepBatchSize: 2, maxExpiriesPerSweep: 3 })
+    await db.ttlReady()
+    const chunks = []
+    db.on('expiredMany', keys => chunks.push(keys.length))
+    await db.batch(randomPutBatch(5), { ttl: 10 })
+    clock.advance(10)
+    await db.sweep()
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(2 * 3)
+    chunks.should.deepEqual([2, 1])
+    await db.sweep()
+    const updatedEntries = await getDbEntries(db)
+    updatedEntries.length.should.equal(0)
+    chunks.should.deepEqual([2, 1, 2])
+  })
+})
+
+describe('precise scheduling', () => {
+  // a clock whose timers only fire when told to
+  function createTimerClock () {
+    const clock = createClock()
+    let waiting = []
+    clock.timers = []
+    clock.setTimeout = (fn, delay) => {
+      const timer = { fn, delay, cleared: false }
+      clock.timers.push(timer)
+      waiting.forEach(resolve => resolve(timer))
+      waiting = []
+      return timer
+    }
+    clock.clearTimeout = timer => {
+      if (timer) timer.cleared = true
+    }
+    // resolves to the next timer that is armed
+    clock.nextTimer = () => new Promise(resolve => waiting.push(resolve))
+    return clock
+  }
+
+  it('should expire an entry right at its expiry time', async () => {
+    const clock = createTimerClock()
+    const db = levelTtl({ clock, checkFrequency: 10000, scheduling: 'precise' })
+    await db.ttlReady()
+    await db.put('foo', 'foovalue', { ttl: 30 })
+    const timer = clock.timers[clock.timers.length - 1]
+    timer.delay.should.equal(30)
+    clock.advance(30)
+    const expired = new Promise(resolve => db.once('expired', resolve))
+    timer.fn()
+    should(await expired).equal('foo')
+    should(await getDbEntries(db)).deepEqual([])
+  })
+
+  it('should re-arm the timer for an earlier expiry time', async () => {
+    const clock = createTimerClock()
+    const db = levelTtl({ clock, checkFrequency: 10000, scheduling: 'precise' })
+    await db.ttlReady()
+    await db.put('foo', 'foovalue', { ttl: 10000 })
+    await db.put('bar', 'barvalue', { ttl: 30 })
+    clock.timers.map(({ delay }) => delay).should.deepEqual([10000, 30])
+    clock.timers[0].cleared.should.be.true()
+    clock.advance(30)
+    const swept = new Promise(resolve => db.once('sweep', resolve))
+    clock.timers[1].fn()
+    await swept
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(3)
+    contains(entries, 'foo', 'foovalue')
+  })
+
+  it('should schedule the earliest expiry time found in the meta data', async () => {
+    const clock = createTimerClock()
+    const db = level()
+    const time = clock.now() + 30
+    await db.batch([
+      { type: 'put', key: 'foo', value: 'foovalue' },
+      { type: 'put', key: '!ttl!foo', value: timestamp(time) },
+      { type: 'put', key: `!ttl!x!${timestamp(time)}!foo`, value: 'foo' }
+    ])
+    const armed = clock.nextTimer()
+    const ttldb = ttl(db, { clock, checkFrequency: 10000, scheduling: 'precise' })
+    const timer = await armed
+    timer.delay.should.equal(30)
+    clock.advance(30)
+    const swept = new Promise(resolve => ttldb.once('sweep', resolve))
+    timer.fn()
+    await swept
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(0)
+  })
+
+  it('should drop outdated expiry records', async () => {
+    const clock = createTimerClock()
+    const db = level()
+    const time = clock.now() + 30
+    await db.batch([
+      { type: 'put', key: 'foo', value: 'foovalue' },
+      { type: 'put', key: '!ttl!foo', value: timestamp(time + 10000) },
+      { type: 'put', key: `!ttl!x!${timestamp(time)}!foo`, value: 'foo' },
+      { type: 'put', key: `!ttl!x!${timestamp(time + 10000)}!foo`, value: 'foo' }
+    ])
+    const armed = clock.nextTimer()
+    ttl(db, { clock, checkFrequency: 10000, scheduling: 'precise' })
+    const timer = await armed
+    timer.delay.should.equal(10030)
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(3)
+    contains(entries, 'foo', 'foovalue')
+    contains(entries, `!ttl!x!${timestamp(time + 10000)}!foo`, 'foo')
+  })
+
+  it('should not scan an idle data store', async () => {
+    const clock = createTimerClock()
+    const db = levelTtl({ clock, checkFrequency: 10, scheduling: 'precise' })
+    await db.ttlReady()
+    // let the initial lookup of the earliest expiry time through
+    await new Promise(resolve => setImmediate(resolve))
+    clock.intervals.size.should.equal(0)
+    clock.timers.length.should.equal(0)
+  })
+
+  it('should clear the timer on stop', async () => {
+    const clock = createTimerClock()
+    const db = levelTtl({ clock, checkFrequency: 10000, scheduling: 'precise' })
+    await db.ttlReady()
+    await db.put('foo', 'foovalue', { ttl: 30 })
+    clock.timers.length.should.equal(1)
+    db.stop()
+    clock.timers[0].cleared.should.be.true()
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(3)
+  })
+})
+
+describe('startup', () => {
+  const past = Date.now() - 1000
+  const expiredBatch = [
+    { type: 'put', key: 'foo', value: 'foovalue' },
+    { type: 'put', key: 'bar', value: 'barvalue' },
+    { type: 'put', key: '!ttl!bar', value: timestamp(past) },
+    { type: 'put', key: `!ttl!x!${timestamp(past)}!bar`, value: 'bar' }
+  ]
+
+  it('should expire entries that became due while the db was not in use', async () => {
+    const db = level()
+    await db.batch(expiredBatch)
+    const ttldb = ttl(db, { checkFrequency: 10000 })
+    await ttldb.ttlReady()
+    const entries = await getDbEntries(db)
+    entries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  it('should wait for a closed db to open', async () => {
+    const db = level()
+    await db.batch(expiredBatch)
+    await db.close()
+    const ttldb = ttl(db, { checkFrequency: 10000 })
+    await wait(10)
+    ttldb.status.should.equal('closed')
+    await db.open()
+    await ttldb.ttlReady()
+    const entries = await getDbEntries(db)
+    entries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  it('should be ready once a new db is open', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    db.status.should.equal('opening')
+    await db.ttlReady()
+    db.status.should.equal('open')
+  })
+
+  it('should schedule the next check in precise mode', async () => {
+    const clock = createClock()
+    const db = level()
+    await db.batch([
+      ...expiredBatch,
+      { type: 'put', key: '!ttl!foo', value: timestamp(clock.now() + 500) },
+      { type: 'put', key: `!ttl!x!${timestamp(clock.now() + 500)}!foo`, value: 'foo' }
+    ])
+    const ttldb = ttl(db, { clock, scheduling: 'precise' })
+    await ttldb.ttlReady()
+    await wait(10)
+    clock.timeouts.should.deepEqual([500])
+    should(await ttldb.get('bar')).be.undefined()
+  })
+})
+
+describe('clock', () => {
+  it('should expire entries on sweep once their time has come', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 100 })
+    clock.advance(99)
+    await db.sweep()
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(1 + 3)
+    clock.advance(1)
+    await db.sweep()
+    const updatedEntries = await getDbEntries(db)
+    updatedEntries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  it('should write expiry times based on the clock', async () => {
+    const clock = createClock(5000)
+    const db = levelTtl({ clock })
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    const entries = await getDbEntries(db)
+    contains(entries, '!ttl!foo', timestamp(5100))
+    contains(entries, `!ttl!x!${timestamp(5100)}!foo`, 'foo')
+    should(await db.getTtl('foo')).equal(100)
+  })
+
+  it('should hide entries that are due on the clock', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    should(await db.get('foo')).equal('foovalue')
+    clock.advance(100)
+    should(await db.get('foo')).be.undefined()
+  })
+
+  it('should set precise timers with the clock', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, scheduling: 'precise' })
+    await db.put('foo', 'foovalue', { ttl: 500 })
+    await db.put('bar', 'barvalue', { ttl: 200 })
+    await db.put('baz', 'bazvalue', { ttl: 300 })
+    clock.timeouts.should.deepEqual([500, 200])
+  })
+
+  it('should wait for the check in progress', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sweepBatchSize: 1 })
+    const expired = []
+    db.on('expired', key => expired.push(key))
+    await db.batch(randomPutBatch(3), { ttl: 100 })
+    clock.advance(100)
+    await Promise.all([db.sweep(), db.sweep()])
+    expired.length.should.equal(3)
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(0)
+  })
+
+  it('should reject when the check fails', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, beforeExpire: () => { throw new Error('boom') } })
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    clock.advance(100)
+    try {
+      await db.sweep()
+      shouldNotBeCalled()
+    } catch (err) {
+      err.message.should.equal('boom')
+    }
+  })
+})
+
+describe('sliding expiration', () => {
+  it('should store the duration of sliding ttls', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.put('foo', 'foovalue', { ttl: 10000, sliding: true })
+    await db.put('bar', 'barvalue', { ttl: 10000 })
+    const entries = await getDbEntries(db)
+    contains(entries, '!ttl!foo', `!${timestamp(clock.now() + 10000)}!10000`)
+    contains(entries, '!ttl!bar', timestamp(clock.now() + 10000))
+    should(await db.getTtl('foo')).equal(10000)
+  })
+
+  it('should push back the expiry time of sliding entries on get', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.put('foo', 'foovalue', { ttl: 10000, sliding: true })
+    await db.put('bar', 'barvalue', { ttl: 10000 })
+    clock.advance(6000)
+    should(await db.get('foo')).equal('foovalue')
+    should(await db.get('bar')).equal('barvalue')
+    should(await db.getTtl('foo')).equal(10000)
+    should(await db.getTtl('bar')).equal(4000)
+    clock.advance(6000)
+    await db.sweep()
+    should(await db.get('foo')).equal('foovalue')
+    should(await db.get('bar')).be.undefined()
+  })
+
+  it('should push back the expiry time of sliding entries on getMany', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sliding: true })
+    await db.batch([
+      { type: 'put', key: 'foo', value: 'foovalue' },
+      { type: 'put', key: 'bar', value: 'barvalue', sliding: false }
+    ], { ttl: 10000 })
+    clock.advance(6000)
+    should(await db.getMany(['foo', 'bar', 'baz'])).deepEqual(['foovalue', 'barvalue', undefined])
+    should(await db.getTtlMany(['foo', 'bar'])).deepEqual([10000, 4000])
+  })
+
+  it('should debounce the writes of hot keys', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sliding: true, defaultTTL: 1000, slidingDebounce: 100 })
+    await db.put('foo', 'foovalue')
+    let writes = 0
+    db.on('write', () => writes++)
+    clock.advance(50)
+    await Promise.all([db.get('foo'), db.get('foo')])
+    writes.should.equal(0)
+    should(await db.getTtl('foo')).equal(950)
+    clock.advance(50)
+    await Promise.all([db.get('foo'), db.get('foo'), db.getMany(['foo'])])
+    writes.should.equal(1)
+    should(await db.getTtl('foo')).equal(1000)
+  })
+
+  it('should not revive expired entries', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sliding: true })
+    await db.put('foo', 'foovalue', { ttl: 10000 })
+    clock.advance(10000)
+    should(await db.get('foo')).be.undefined()
+    should(await db.getTtl('foo')).equal(0)
+  })
+
+  it('should not slide ttls set with expireAt', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sliding: true })
+    await db.put('foo', 'foovalue', { expireAt: clock.now() + 10000 })
+    clock.advance(6000)
+    await db.get('foo')
+    should(await db.getTtl('foo')).equal(4000)
+  })
+
+  it('should slide ttls set with ttl()', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.put('foo', 'foovalue')
+    await db.ttl('foo', 10000, { sliding: true })
+    clock.advance(6000)
+    await db.get('foo')
+    should(await db.getTtl('foo')).equal(10000)
+  })
+
+  it('should push back the expiry time of sliding entries (custom ttlEncoding)', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sliding: true, ttlEncoding: bytewise })
+    await db.put('foo', 'foovalue', { ttl: 10000 })
+    const entries = await getDbEntries(db, { keyEncoding: 'binary', valueEncoding: 'binary' })
+    contains(entries, bwEncode(['ttl', 'foo']), bwEncode([new Date(clock.now() + 10000), 10000]))
+    clock.advance(6000)
+    await db.get('foo')
+    should(await db.getTtl('foo')).equal(10000)
+  })
+})
+
+describe('capacity', () => {
+  it('should evict the entries that expire soonest', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 2 })
+    await db.ttlReady()
+    const evicted = []
+    db.on('evicted', key => evicted.push(key))
+    await db.put('foo', 'foovalue', { ttl: 300 })
+    await db.put('bar', 'barvalue', { ttl: 100 })
+    await db.put('baz', 'bazvalue', { ttl: 200 })
+    evicted.should.deepEqual(['bar'])
+    should(await db.get('bar')).be.undefined()
+    should(await db.getExpiry('bar')).be.undefined()
+    should(await db.get('foo')).equal('foovalue')
+    should(await db.get('baz')).equal('bazvalue')
+    const stats = await db.ttlStats()
+    stats.trackedKeys.should.equal(2)
+    stats.totalEvicted.should.equal(1)
+  })
+
+  it('should store the size of entries along with their expiry time', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 10 })
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    const entries = await getDbEntries(db)
+    contains(entries, '!ttl!foo', `!${timestamp(clock.now() + 100)}!0!11!0`)
+  })
+
+  it('should evict entries in batches', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 3 })
+    await db.ttlReady()
+    let evicted
+    db.on('evictedMany', keys => { evicted = keys })
+    await db.batch([
+      { type: 'put', key: 'a', value: 'a', ttl: 500 },
+      { type: 'put', key: 'b', value: 'b', ttl: 100 },
+      { type: 'put', key: 'c', value: 'c', ttl: 400 },
+      { type: 'put', key: 'd', value: 'd', ttl: 200 },
+      { type: 'put', key: 'e', value: 'e', ttl: 300 }
+    ])
+    evicted.should.deepEqual(['b', 'd'])
+    should(await db.getMany(['a', 'c', 'e'])).deepEqual(['a', 'c', 'e'])
+  })
+
+  it('should count removed entries out', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 2, defaultTTL: 100 })
+    await db.ttlReady()
+    db.on('evicted', shouldNotBeCalled)
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue')
+    await db.del('foo')
+    await db.persist('bar')
+    await db.put('baz', 'bazvalue')
+    await db.put('qux', 'quxvalue')
+    clock.advance(100)
+    await db.sweep()
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue')
+  })
+
+  it('should recount entries once the store is cleared', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 2, defaultTTL: 100 })
+    await db.ttlReady()
+    await db.put('x', 'xvalue')
+    await db.put('y', 'yvalue')
+    await db.clear()
+    await db.put('a', 'avalue')
+    should(await db.get('a')).equal('avalue')
+    db._ttl._capacity.entries.should.equal(1)
+  })
+
+  it('should recount entries removed behind its back', async () => {
+    const clock = createClock()
+    const root = level()
+    const sub = root.sublevel('meta')
+    const db = ttl(level(), { clock, sub, maxEntries: 2, defaultTTL: 100 })
+    await db.ttlReady()
+    await db.put('x', 'xvalue')
+    await db.put('y', 'yvalue')
+    await sub.clear()
+    await db.put('a', 'avalue')
+    should(await db.get('a')).equal('avalue')
+    db._ttl._capacity.entries.should.equal(1)
+  })
+
+  it('should evict the least recently used entries', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 2, evictionPolicy: 'lru', defaultTTL: 10000, slidingDebounce: 0 })
+    await db.ttlReady()
+    await db.put('foo', 'foovalue')
+    clock.advance(1)
+    await db.put('bar', 'barvalue')
+    clock.advance(1)
+    await db.get('foo')
+    clock.advance(1)
+    await db.put('baz', 'bazvalue')
+    const entries = await getDbEntries(db)
+    contains(entries, `!ttl!a!${timestamp(clock.now() - 1)}!foo`, 'foo')
+    contains(entries, `!ttl!a!${timestamp(clock.now())}!baz`, 'baz')
+    entries.filter(({ key }) => key.startsWith('!ttl!a!')).length.should.equal(2)
+    should(await db.getMany(['foo', 'bar', 'baz'])).deepEqual(['foovalue', undefined, 'bazvalue'])
+  })
+
+  it('should evict entries until they fit maxBytes', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxBytes: 39 })
+    await db.ttlReady()
+    await db.put('a', 'x'.repeat(9), { ttl: 100 })
+    await db.put('b', 'x'.repeat(9), { ttl: 200 })
+    await db.put('c', 'x'.repeat(19), { ttl: 300 })
+    should(await db.getMany(['a', 'b', 'c'])).deepEqual([undefined, 'x'.repeat(9), 'x'.repeat(19)])
+    // entries that are written again are counted with their new size
+    await db.put('b', 'x'.repeat(19), { ttl: 200 })
+    should(await db.getMany(['b', 'c'])).deepEqual([undefined, 'x'.repeat(19)])
+  })
+
+  it('should read the size of entries given a ttl with ttl()', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxBytes: 20 })
+    await db.ttlReady()
+    await db.put('foo', 'x'.repeat(12))
+    await db.ttl('foo', 100)
+    await db.put('bar', 'barvalue', { ttl: 200 })
+    should(await db.get('foo')).be.undefined()
+    should(await db.get('bar')).equal('barvalue')
+  })
+
+  it('should count the entries of an existing store once open', async () => {
+    const clock = createClock()
+    const db = level()
+    await db.batch(['a', 'b', 'c', 'd'].flatMap(function (key, i) {
+      const time = timestamp(clock.now() + (4 - i) * 100)
+      return [
+        { type: 'put', key, value: key },
+        { type: 'put', key: `!ttl!${key}`, value: time },
+        { type: 'put', key: `!ttl!x!${time}!${key}`, value: key }
+      ]
+    }))
+    const ttldb = ttl(db, { clock, maxEntries: 2 })
+    const evicted = []
+    ttldb.on('evicted', key => evicted.push(key))
+    await ttldb.ttlReady()
+    evicted.should.deepEqual(['d', 'c'])
+    const stats = await ttldb.ttlStats()
+    stats.trackedKeys.should.equal(2)
+    stats.totalEvicted.should.equal(2)
+  })
+
+  it('should not evict entries without a ttl', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 1 })
+    await db.ttlReady()
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 100 })
+    await db.put('baz', 'bazvalue', { ttl: 200 })
+    should(await db.getMany(['foo', 'bar', 'baz'])).deepEqual(['foovalue', undefined, 'bazvalue'])
+  })
+
+  it('should evict the least recently used entries (custom ttlEncoding)', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 1, evictionPolicy: 'lru', ttlEncoding: bytewise })
+    await db.ttlReady()
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    clock.advance(1)
+    await db.put('bar', 'barvalue', { ttl: 200 })
+    const entries = await getDbEntries(db, { keyEncoding: 'binary', valueEncoding: 'binary' })
+    contains(entries, bwEncode(['ttl', 'a', new Date(clock.now()), 'bar']), bwEncode('bar'))
+    should(await db.getMany(['foo', 'bar'])).deepEqual([undefined, 'barvalue'])
+  })
+})
+
+describe('getOrSet', () => {
+  it('should load and cache missing values', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    const loaded = []
+    const loader = async key => {
+      loaded.push(key)
+      return key + 'value'
+    }
+    should(await db.getOrSet('foo', loader, { ttl: 100 })).equal('foovalue')
+    should(await db.getOrSet('foo', loader, { ttl: 100 })).equal('foovalue')
+    loaded.should.deepEqual(['foo'])
+    should(await db.get('foo')).equal('foovalue')
+    should(await db.getTtl('foo')).equal(100)
+    clock.advance(100)
+    should(await db.getOrSet('foo', loader, { ttl: 100 })).equal('foovalue')
+    loaded.should.deepEqual(['foo', 'foo'])
+  })
+
+  it('should use the default ttl', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, defaultTTL: 500 })
+    await db.getOrSet('foo', () => 'foovalue')
+    should(await db.getTtl('foo')).equal(500)
+  })
+
+  it('should load a value once for concurrent calls', async () => {
+    const db = levelTtl()
+    let calls = 0
+    const loader = async () => {
+      calls++
+      await wait(10)
+      return 'foovalue'
+    }
+    const values = await Promise.all([
+      db.getOrSet('foo', loader, { ttl: 1000 }),
+      db.getOrSet('foo', loader, { ttl: 1000 }),
+      db.getOrSet('foo', loader, { ttl: 1000 })
+    ])
+    values.should.deepEqual(['foovalue', 'foovalue', 'foovalue'])
+    calls.should.equal(1)
+  })
+
+  it('should load a value once for more concurrent calls than a lock queues by default', async () => {
+    const db = levelTtl()
+    let calls = 0
+    const loader = async () => {
+      calls++
+      await wait(10)
+      return 'foovalue'
+    }
+    const values = await Promise.all(Array.from({ length: 1500 }, () => db.getOrSet('hot', loader, { ttl: 1000 })))
+    values.filter(value => value === 'foovalue').length.should.equal(1500)
+    calls.should.equal(1)
+  })
+
+  it('should not cache anything when the loader fails', async () => {
+    const db = levelTtl()
+    const err = new Error('boom')
+    await db.getOrSet('foo', async () => { throw err }, { ttl: 1000 }).should.be.rejectedWith(err)
+    should(await db.get('foo')).be.undefined()
+    should(await db.getExpiry('foo')).be.undefined()
+    should(await db.getOrSet('foo', () => 'foovalue', { ttl: 1000 })).equal('foovalue')
+  })
+
+  it('should not cache missing values', async () => {
+    const db = levelTtl()
+    should(await db.getOrSet('foo', () => undefined, { ttl: 1000 })).be.undefined()
+    should(await db.get('foo')).be.undefined()
+    should(await db.getExpiry('foo')).be.undefined()
+  })
+
+  it('should serve stale values while refreshing them', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    const options = { ttl: 100, staleWhileRevalidate: 1000 }
+    let version = 0
+    const loader = async () => 'v' + ++version
+    should(await db.getOrSet('foo', loader, options)).equal('v1')
+    should(await db.getTtl('foo')).equal(1100)
+    clock.advance(150)
+    const refreshed = new Promise(resolve => db.once('write', resolve))
+    const values = await Promise.all([db.getOrSet('foo', loader, options), db.getOrSet('foo', loader, options)])
+    values.should.deepEqual(['v1', 'v1'])
+    await refreshed
+    version.should.equal(2)
+    should(await db.getOrSet('foo', loader, options)).equal('v2')
+    should(await db.getTtl('foo')).equal(1100)
+  })
+
+  it('should load values that are past their stale period', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    const options = { ttl: 100, staleWhileRevalidate: 1000 }
+    let version = 0
+    const loader = async () => 'v' + ++version
+    await db.getOrSet('foo', loader, options)
+    clock.advance(1100)
+    should(await db.getOrSet('foo', loader, options)).equal('v2')
+  })
+
+  it('should emit refresh errors', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    const options = { ttl: 100, staleWhileRevalidate: 1000 }
+    const err = new Error('boom')
+    await db.getOrSet('foo', () => 'foovalue', options)
+    clock.advance(150)
+    const refreshError = new Promise(resolve => db.once('refreshError', (...args) => resolve(args)))
+    should(await db.getOrSet('foo', async () => { throw err }, options)).equal('foovalue')
+    const [error, key] = await refreshError
+    error.should.equal(err)
+    key.should.equal('foo')
+    should(await db.get('foo')).equal('foovalue')
+  })
+})
+
+describe('leases', () => {
+  it('should only let one owner acquire a lease', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    const acquired = await Promise.all([
+      db.acquireLease('leader', 'a', 1000),
+      db.acquireLease('leader', 'b', 1000)
+    ])
+    acquired.should.deepEqual([true, false])
+    should(await db.get('leader')).equal('a')
+    should(await db.getTtl('leader')).equal(1000)
+    should(await db.acquireLease('leader', 'a', 1000)).be.false()
+  })
+
+  it('should let another owner acquire an expired lease', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.acquireLease('leader', 'a', 1000)
+    clock.advance(1000)
+    should(await db.acquireLease('leader', 'b', 1000)).be.true()
+    should(await db.get('leader')).equal('b')
+    should(await db.renewLease('leader', 'a', 1000)).be.false()
+  })
+
+  it('should only let the owner renew a lease', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.acquireLease('leader', 'a', 1000)
+    clock.advance(500)
+    should(await db.renewLease('leader', 'b', 1000)).be.false()
+    should(await db.getTtl('leader')).equal(500)
+    should(await db.renewLease('leader', 'a', 1000)).be.true()
+    should(await db.getTtl('leader')).equal(1000)
+  })
+
+  it('should not renew an expired lease', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.acquireLease('leader', 'a', 1000)
+    clock.advance(1000)
+    should(await db.renewLease('leader', 'a', 1000)).be.false()
+    should(await db.renewLease('follower', 'a', 1000)).be.false()
+  })
+
+  it('should only let the owner release a lease', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.acquireLease('leader', 'a', 1000)
+    should(await db.releaseLease('leader', 'b')).be.false()
+    should(await db.get('leader')).equal('a')
+    should(await db.releaseLease('leader', 'a')).be.true()
+    should(await db.get('leader')).be.undefined()
+    should(await db.getExpiry('leader')).be.undefined()
+    should(await db.acquireLease('leader', 'b', 1000)).be.true()
+  })
+
+  it('should not acquire leases without a finite ttl', async () => {
+    const db = levelTtl()
+    should(await db.acquireLease('leader', 'a', 0)).be.false()
+    should(await db.acquireLease('leader', 'a', Infinity)).be.false()
+    should(await db.acquireLease('leader', 'a')).be.false()
+    should(await db.get('leader')).be.undefined()
+  })
+
+  it('should store owners as strings', async () => {
+    const db = levelTtl({ valueEncoding: 'json' })
+    should(await db.acquireLease('leader', 42, 1000)).be.true()
+    should(await db.get('leader', { valueEncoding: 'utf8' })).equal('42')
+    should(await db.renewLease('leader', 42, 1000)).be.true()
+    should(await db.releaseLease('leader', '42')).be.true()
+  })
+})
+
+describe('sweeper election', () => {
+  // two handles on the same data, as separate processes would have
+  function setupHandles (clock, options) {
+    const db = level()
+    const a = ttl(db.sublevel('data'), { clock, checkFrequency: 100, ...options })
+    const b = ttl(db.sublevel('data'), { clock, checkFrequency: 100, ...options })
+    const sweeps = { a: 0, b: 0 }
+    a.on('sweep', () => sweeps.a++)
+    b.on('sweep', () => sweeps.b++)
+    return { db, a, b, sweeps }
+  }
+
+  it('should not run scheduled checks when sweeper is false', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sweeper: false })
+    await db.ttlReady()
+    clock.intervals.size.should.equal(0)
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    clock.advance(100)
+    await db.sweep()
+    should(await db.get('foo')).be.undefined()
+  })
+
+  it('should elect a single sweeper', async () => {
+    const clock = createClock()
+    const { a, b, sweeps } = setupHandles(clock, { sweeper: 'auto' })
+    await Promise.all([a.ttlReady(), b.ttlReady()])
+    await a.put('foo', 'foovalue', { ttl: 100 })
+    clock.advance(100)
+    await clock.tick()
+    clock.advance(100)
+    await clock.tick()
+    // either handle may win the election
+    Object.values(sweeps).sort().should.deepEqual([0, 3])
+    should(await b.get('foo')).be.undefined()
+  })
+
+  it('should run checks on every handle without election', async () => {
+    const clock = createClock()
+    const { a, b, sweeps } = setupHandles(clock)
+    await Promise.all([a.ttlReady(), b.ttlReady()])
+    await clock.tick()
+    sweeps.should.deepEqual({ a: 2, b: 2 })
+  })
+
+  it('should take over from a sweeper whose heartbeat is stale', async () => {
+    const clock = createClock()
+    const handles = setupHandles(clock, { sweeper: 'auto' })
+    const { sweeps } = handles
+    await Promise.all([handles.a.ttlReady(), handles.b.ttlReady()])
+    const [leader, follower] = sweeps.a ? ['a', 'b'] : ['b', 'a']
+    // the sweeper stops without a chance to resign, as if its process had crashed
+    handles[leader].stop()
+    clock.advance(200)
+    await clock.tick()
+    sweeps[follower].should.equal(0)
+    clock.advance(100)
+    await clock.tick()
+    sweeps[leader].should.equal(1)
+    sweeps[follower].should.equal(1)
+  })
+
+  it('should hand over once the sweeper is closed', async () => {
+    const clock = createClock()
+    const handles = setupHandles(clock, { sweeper: 'auto' })
+    const { sweeps } = handles
+    await Promise.all([handles.a.ttlReady(), handles.b.ttlReady()])
+    const [leader, follower] = sweeps.a ? ['a', 'b'] : ['b', 'a']
+    await handles[leader].close()
+    await clock.tick()
+    sweeps[follower].should.equal(1)
+  })
+
+  it('should keep the heartbeat in the ttl namespace', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, sweeper: 'auto' })
+    await db.ttlReady()
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(1)
+    entries[0].key.should.equal('!ttl!h!sweeper')
+    entries[0].value.should.match(new RegExp(`^![\\w-]+!${timestamp(clock.now())}$`))
+    should(await db.keys({ filterExpired: true }).all()).deepEqual([])
+    const report = await db.verify()
+    report.should.deepEqual({ orphanedExpiryRecords: 0, outdatedExpiryRecords: 0, missingExpiryRecords: 0, missingData: 0 })
+  })
+
+  it('should check the heartbeat on a timer of its own in precise mode', async () => {
+    const clock = createClock()
+    const { a, b } = setupHandles(clock, { sweeper: 'auto', scheduling: 'precise', sweeperTimeout: 1000 })
+    await a.ttlReady()
+    await b.ttlReady()
+    clock.timeouts.sort((x, y) => x - y).should.deepEqual([500, 1000])
+  })
+})
+
+describe('export and import', () => {
+  async function setupSource (clock) {
+    const db = levelTtl({ clock })
+    await db.put('foo', 'foovalue', { ttl: 1000 })
+    await db.put('bar', 'barvalue')
+    await db.put('baz', 'bazvalue', { ttl: 100 })
+    clock.advance(100)
+    return db
+  }
+
+  it('should export live entries with their expiry time', async () => {
+    const clock = createClock()
+    const db = await setupSource(clock)
+    const stream = db.exportStream()
+    stream.exportedAt.should.equal(clock.now())
+    const records = await stream.toArray()
+    records.should.deepEqual([
+      { key: 'bar', value: 'barvalue', expireAt: null },
+      { key: 'foo', value: 'foovalue', expireAt: clock.now() + 900 }
+    ])
+  })
+
+  it('should not export the meta data of a sublevel of the db', async () => {
+    const clock = createClock()
+    const source = level()
+    const ttldb = ttl(source, { clock, sub: source.sublevel('meta') })
+    await ttldb.put('foo', 'foovalue', { ttl: 1000 })
+    await ttldb.put('bar', 'barvalue')
+    const records = await ttldb.exportStream().toArray()
+    records.should.deepEqual([
+      { key: 'bar', value: 'barvalue', expireAt: null },
+      { key: 'foo', value: 'foovalue', expireAt: clock.now() + 1000 }
+    ])
+
+    const target = level()
+    const db = ttl(target, { clock, sub: target.sublevel('meta') })
+    await db.import(records)
+    const entries = await getDbEntries(target)
+    entries.length.should.equal(4)
+    contains(entries, '!meta!foo', timestamp(clock.now() + 1000))
+  })
+
+  it('should export a range of entries', async () => {
+    const clock = createClock()
+    const db = await setupSource(clock)
+    const records = await db.exportStream({ gt: 'bar' }).toArray()
+    records.should.deepEqual([{ key: 'foo', value: 'foovalue', expireAt: clock.now() + 900 }])
+  })
+
+  it('should import records with their expiry time', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.put('bar', 'oldvalue', { ttl: 100 })
+    const count = await db.import([
+      { key: 'foo', value: 'foovalue', expireAt: clock.now() + 900 },
+      { key: 'bar', value: 'barvalue', expireAt: null },
+      { key: 'baz', value: 'bazvalue', expireAt: clock.now() }
+    ])
+    count.should.equal(2)
+    should(await db.getMany(['foo', 'bar', 'baz'])).deepEqual(['foovalue', 'barvalue', undefined])
+    should(await db.getTtl('foo')).equal(900)
+    should(await db.getTtl('bar')).be.undefined()
+  })
+
+  it('should rebase expiry times on the time of the export', async () => {
+    const clock = createClock()
+    const source = await setupSource(clock)
+    const stream = source.exportStream()
+    const records = await stream.toArray()
+    clock.advance(5000)
+    const db = levelTtl({ clock })
+    const count = await db.import(records, { rebase: stream.exportedAt })
+    count.should.equal(2)
+    should(await db.getTtl('foo')).equal(900)
+    should(await db.getTtl('bar')).be.undefined()
+  })
+
+  it('should import from an async iterable', async () => {
+    const clock = createClock()
+    const source = await setupSource(clock)
+    const db = levelTtl({ clock })
+    const count = await db.import(source.exportStream())
+    count.should.equal(2)
+    should(await db.getTtl('foo')).equal(900)
+  })
+
+  it('should pipe an export into an import', async () => {
+    const clock = createClock()
+    const source = await setupSource(clock)
+    const db = levelTtl({ clock })
+    await pipeline(source.exportStream(), db.importStream())
+    const entries = await getDbEntries(db)
+    contains(entries, 'foo', 'foovalue')
+    contains(entries, 'bar', 'barvalue')
+    contains(entries, '!ttl!foo', timestamp(clock.now() + 900))
+    contains(entries, `!ttl!x!${timestamp(clock.now() + 900)}!foo`, 'foo')
+    entries.length.should.equal(4)
+  })
+
+  it('should export and import with other encodings', async () => {
+    const clock = createClock()
+    const source = levelTtl({ clock, valueEncoding: 'json' })
+    await source.put('foo', { a: 1 }, { ttl: 1000 })
+    const db = levelTtl({ clock, valueEncoding: 'json' })
+    await pipeline(source.exportStream(), db.importStream())
+    should(await db.get('foo')).deepEqual({ a: 1 })
+    should(await db.getTtl('foo')).equal(1000)
+  })
+})
+
+describe('scopes', () => {
+  function setupScopes (clock) {
+    const db = level()
+    const sessions = ttl(db.sublevel('sessions'), { clock, checkFrequency: 100, defaultTTL: 1000 })
+    const cache = ttl(db.sublevel('cache'), { clock, checkFrequency: 50, defaultTTL: 100 })
+    return { db, sessions, cache }
+  }
+
+  it('should keep the ttl and meta data of each sublevel apart', async () => {
+    const clock = createClock()
+    const { db, sessions, cache } = setupScopes(clock)
+    await sessions.put('foo', 'session')
+    await cache.put('foo', 'cached')
+    should(await sessions.getTtl('foo')).equal(1000)
+    should(await cache.getTtl('foo')).equal(100)
+    const entries = await getDbEntries(db)
+    contains(entries, '!cache!!ttl!foo', timestamp(clock.now() + 100))
+    contains(entries, '!sessions!!ttl!foo', timestamp(clock.now() + 1000))
+    entries.length.should.equal(2 * 3)
+  })
+
+  it('should share a single interval between the sublevels of a database', async () => {
+    const clock = createClock()
+    setupScopes(clock)
+    Array.from(clock.intervals.values(), ({ delay }) => delay).should.deepEqual([50])
+  })
+
+  it('should check each sublevel at its own frequency', async () => {
+    const clock = createClock()
+    const { sessions, cache } = setupScopes(clock)
+    await Promise.all([sessions.ttlReady(), cache.ttlReady()])
+    const sweeps = []
+    sessions.on('sweep', () => sweeps.push('sessions'))
+    cache.on('sweep', () => sweeps.push('cache'))
+    await clock.tick()
+    await clock.tick()
+    await clock.tick()
+    sweeps.should.deepEqual(['cache', 'sessions', 'cache', 'cache'])
+  })
+
+  it('should expire the entries of each sublevel', async () => {
+    const clock = createClock()
+    const { db, sessions, cache } = setupScopes(clock)
+    await sessions.put('foo', 'session', { ttl: 100 })
+    await cache.put('bar', 'cached', { ttl: 50 })
+    clock.advance(50)
+    await clock.tick()
+    should(await cache.get('bar')).be.undefined()
+    should(await sessions.get('foo')).equal('session')
+    clock.advance(50)
+    await clock.tick()
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(0)
+  })
+
+  it('should share an interval between the sublevels that have the same clock', async () => {
+    const clock = createClock()
+    const otherClock = createClock()
+    const { db, sessions, cache } = setupScopes(clock)
+    const other = ttl(db.sublevel('other'), { clock: otherClock, checkFrequency: 20 })
+    const system = ttl(db.sublevel('system'), { checkFrequency: 10000 })
+    Array.from(clock.intervals.values(), ({ delay }) => delay).should.deepEqual([50])
+    Array.from(otherClock.intervals.values(), ({ delay }) => delay).should.deepEqual([20])
+    await other.put('foo', 'foovalue', { ttl: 20 })
+    sessions.stop()
+    cache.stop()
+    otherClock.advance(20)
+    await otherClock.tick()
+    should(await other.get('foo')).be.undefined()
+    system.stop()
+  })
+
+  it('should clear the shared interval once all sublevels are stopped', async () => {
+    const clock = createClock()
+    const { sessions, cache } = setupScopes(clock)
+    cache.stop()
+    Array.from(clock.intervals.values(), ({ delay }) => delay).should.deepEqual([100])
+    sessions.stop()
+    clock.intervals.size.should.equal(0)
+  })
+})
+
+describe('ttlStats', () => {
+  it('should report the keys with a ttl and the next expiry time', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.ttlReady()
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { ttl: 100 })
+    await db.put('baz', 'bazvalue', { ttl: 50 })
+    const stats = await db.ttlStats()
+    stats.trackedKeys.should.equal(2)
+    stats.nextExpiry.should.deepEqual(new Date(clock.now() + 50))
+  })
+
+  it('should skip outdated expiry records without writing', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.ttlReady()
+    await db.put('bar', 'barvalue', { ttl: 100 })
+    // leftover of an interrupted ttl update
+    await db._ttl.put(`!ttl!x!${timestamp(clock.now() + 10)}!bar`, 'bar')
+    let writes = 0
+    db.on('write', () => writes++)
+    const stats = await db.ttlStats()
+    stats.trackedKeys.should.equal(1)
+    stats.nextExpiry.should.deepEqual(new Date(clock.now() + 100))
+    writes.should.equal(0)
+    const entries = await getDbEntries(db)
+    contains(entries, `!ttl!x!${timestamp(clock.now() + 10)}!bar`, 'bar')
+  })
+
+  it('should report sweeps', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.ttlReady()
+    await db.batch(randomPutBatch(3), { ttl: 100 })
+    await db.put('foo', 'foovalue', { ttl: 200 })
+    clock.advance(100)
+    await db.sweep()
+    const stats = await db.ttlStats()
+    stats.should.deepEqual({
+      trackedKeys: 1,
+      nextExpiry: new Date(clock.now() + 100),
+      lastSweepDuration: 0,
+      lastSweepExpired: 3,
+      totalExpired: 3,
+      totalEvicted: 0,
+      totalErrors: 0
+    })
+    clock.advance(100)
+    await db.sweep()
+    const updatedStats = await db.ttlStats()
+    updatedStats.trackedKeys.should.equal(0)
+    should(updatedStats.nextExpiry).be.undefined()
+    updatedStats.lastSweepExpired.should.equal(1)
+    updatedStats.totalExpired.should.equal(4)
+  })
+
+  it('should count errors', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, beforeExpire: () => { throw new Error('boom') } })
+    await db.ttlReady()
+    await db.put('foo', 'foovalue', { ttl: 100 })
+    clock.advance(100)
+    await db.sweep().catch(() => {})
+    const stats = await db.ttlStats()
+    stats.totalErrors.should.equal(1)
+  })
+
+  it('should emit sweep events', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.ttlReady()
+    const sweeps = []
+    db.on('sweep', stats => sweeps.push(stats))
+    await db.batch(randomPutBatch(2), { ttl: 100 })
+    await db.sweep()
+    clock.advance(100)
+    await db.sweep()
+    sweeps.should.deepEqual([
+      { duration: 0, expired: 0 },
+      { duration: 0, expired: 2 }
+    ])
+  })
+})
+
+describe('encoding', () => {
+  it('should sort expiry times of different lengths', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    await db.put('foo', 'foovalue')
+    await db.put('bar', 'barvalue', { expireAt: 5000 })
+    const entries = await getDbEntries(db)
+    contains(entries, `!ttl!x!${timestamp(5000)}!bar`, 'bar')
+    const updatedEntries = await getDbEntriesAfterDelay(db, 100)
+    updatedEntries.should.deepEqual([{ key: 'foo', value: 'foovalue' }])
+  })
+
+  it('should escape separators in keys', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    // without escaping, its prefix record would look like the expiry record of foo
+    const key = `x!${timestamp(5000)}!foo`
+    await db.put('foo', 'foovalue', { ttl: 10000 })
+    await db.put(key, 'value', { ttl: 10000 })
+    await db.put('a!%b', 'value', { ttl: 50 })
+    const entries = await getDbEntries(db)
+    contains(entries, `!ttl!x%21${timestamp(5000)}%21foo`, /^\d{16}$/)
+    contains(entries, /^!ttl!x!\d{16}!a%21%25b$/, 'a!%b')
+    const updatedEntries = await getDbEntriesAfterDelay(db, 100)
+    updatedEntries.length.should.equal(2 * 3)
+    contains(updatedEntries, 'foo', 'foovalue')
+    contains(updatedEntries, key, 'value')
+  })
+
+  it('should not mistake prefix records for expiry records', async () => {
+    const db = levelTtl({ checkFrequency: 25 })
+    await db.put('x', 'value', { ttl: 10000 })
+    await db.put('x foo', 'value', { ttl: 10000 })
+    const entries = await getDbEntriesAfterDelay(db, 75)
+    entries.length.should.equal(2 * 3)
+  })
+})
+
+describe('migrateTtl', () => {
+  async function putLegacyRecords (db, ns, time) {
+    await db.batch([
+      { type: 'put', key: 'foo', value: 'foovalue' },
+      { type: 'put', key: `${ns}foo`, value: String(time) },
+      { type: 'put', key: `${ns}x!${time}!foo`, value: 'foo' },
+      { type: 'put', key: 'a!b', value: 'abvalue' },
+      { type: 'put', key: `${ns}a!b`, value: String(time) },
+      { type: 'put', key: `${ns}x!${time}!a!b`, value: 'a!b' },
+      { type: 'put', key: 'orphan', value: 'orphanvalue' },
+      { type: 'put', key: `${ns}x!${time}!orphan`, value: 'orphan' }
+    ])
+  }
+
+  it('should rewrite legacy meta data', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    const time = Date.now() + 50
+    await putLegacyRecords(db._ttl, '!ttl!', time)
+    const count = await db.migrateTtl()
+    count.should.equal(5)
+    const entries = await getDbEntries(db)
+    entries.length.should.equal(3 * 3)
+    for (const key of ['foo', 'a%21b', 'orphan']) {
+      contains(entries, `!ttl!${key}`, timestamp(time))
+      contains(entries, `!ttl!x!${timestamp(time)}!${key}`, key.replace('%21', '!'))
+    }
+    should(await db.migrateTtl()).equal(0)
+  })
+
+  it('should rewrite legacy meta data (sub)', async () => {
+    const db = new MemoryLevel()
+    const sub = db.sublevel('meta')
+    const ttldb = ttl(db, { checkFrequency: 25, sub })
+    const time = Date.now() + 50
+    await db.batch([
+      { type: 'put', key: 'foo', value: 'foovalue' },
+      { type: 'put', key: 'a!b', value: 'abvalue' }
+    ])
+    await sub.batch([
+      { type: 'put', key: 'foo', value: String(time) },
+      { type: 'put', key: `x!${time}!foo`, value: 'foo' },
+      { type: 'put', key: 'a!b', value: String(time) },
+      { type: 'put', key: `x!${time}!a!b`, value: 'a!b' }
+    ])
+    const count = await ttldb.migrateTtl()
+    count.should.equal(4)
+    const entries = await getDbEntries(sub)
+    contains(entries, 'a%21b', timestamp(time))
+    contains(entries, `x!${timestamp(time)}!a%21b`, 'a!b')
+    const updatedEntries = await getDbEntriesAfterDelay(db, 150)
+    updatedEntries.length.should.equal(0)
+  })
+
+  it('should leave the access records and the heartbeat alone', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock, maxEntries: 10, evictionPolicy: 'lru', sweeper: 'auto' })
+    await db.ttlReady()
+    await db.put('42', 'value', { ttl: 1000 })
+    const entries = await getDbEntries(db)
+    contains(entries, `!ttl!a!${timestamp(clock.now())}!42`, '42')
+    contains(entries, '!ttl!h!sweeper', /^!/)
+    should(await db.migrateTtl()).equal(0)
+    ;(await getDbEntries(db)).should.deepEqual(entries)
+    ;(await db.verify()).should.deepEqual({
+      orphanedExpiryRecords: 0,
+      outdatedExpiryRecords: 0,
+      missingExpiryRecords: 0,
+      missingData: 0
+    })
+  })
+
+  it('should not do anything with a custom ttlEncoding', async () => {
+    const db = levelTtl({ checkFrequency: 10000, ttlEncoding: bytewise })
+    should(await db.migrateTtl()).equal(0)
+  })
+})
+
+describe('verify', () => {
+  const time = Date.now() + 10000
+  const later = time + 1000
+  const inconsistencies = {
+    orphanedExpiryRecords: 1,
+    outdatedExpiryRecords: 1,
+    missingExpiryRecords: 1,
+    missingData: 1
+  }
+  const consistent = {
+    orphanedExpiryRecords: 0,
+    outdatedExpiryRecords: 0,
+    missingExpiryRecords: 0,
+    missingData: 0
+  }
+
+  // a has no prefix record, b an outdated expiry record,
+  // c no expiry record and d no data
+  function inconsistentBatch (prefix, expiryPrefix) {
+    return [
+      { type: 'put', key: 'a', value: 'avalue' },
+      { type: 'put', key: `${expiryPrefix}${timestamp(time)}!a`, value: 'a' },
+      { type: 'put', key: 'b', value: 'bvalue' },
+      { type: 'put', key: `${prefix}b`, value: timestamp(later) },
+      { type: 'put', key: `${expiryPrefix}${timestamp(time)}!b`, value: 'b' },
+      { type: 'put', key: `${expiryPrefix}${timestamp(later)}!b`, value: 'b' },
+      { type: 'put', key: 'c', value: 'cvalue' },
+      { type: 'put', key: `${prefix}c`, value: timestamp(time) },
+      { type: 'put', key: `${prefix}d`, value: timestamp(time) },
+      { type: 'put', key: `${expiryPrefix}${timestamp(time)}!d`, value: 'd' }
+    ]
+  }
+
+  it('should report inconsistencies without fixing them', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.batch(inconsistentBatch('!ttl!', '!ttl!x!'))
+    const entries = await getDbEntries(db)
+    should(await db.verify()).deepEqual(inconsistencies)
+    const updatedEntries = await getDbEntries(db)
+    updatedEntries.should.deepEqual(entries)
+  })
+
+  it('should fix inconsistencies', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.batch(inconsistentBatch('!ttl!', '!ttl!x!'))
+    should(await db.verify({ fix: true, removeMissingData: true })).deepEqual(inconsistencies)
+    should(await db.verify()).deepEqual(consistent)
+    const entries = await getDbEntries(db)
+    entries.should.deepEqual([
+      { key: '!ttl!b', value: timestamp(later) },
+      { key: '!ttl!c', value: timestamp(time) },
+      { key: `!ttl!x!${timestamp(time)}!c`, value: 'c' },
+      { key: `!ttl!x!${timestamp(later)}!b`, value: 'b' },
+      { key: 'a', value: 'avalue' },
+      { key: 'b', value: 'bvalue' },
+      { key: 'c', value: 'cvalue' }
+    ])
+  })
+
+  it('should keep the ttl of keys without data unless asked to remove it', async () => {
+    const clock = createClock()
+    const db = levelTtl({ clock })
+    await db.ttl('foo', 1000)
+    should(await db.verify({ fix: true })).deepEqual({ ...consistent, missingData: 1 })
+    should(await db.getTtl('foo')).equal(1000)
+    await db.put('foo', 'foovalue')
+    should(await db.verify()).deepEqual(consistent)
+    clock.advance(1000)
+    await db.sweep()
+    should(await db.get('foo')).be.undefined()
+  })
+
+  it('should not report consistent meta data', async () => {
+    const db = levelTtl({ checkFrequency: 10000 })
+    await db.put('foo', 'foovalue', { ttl: 10000 })
+    await db.put('x', 'xvalue', { ttl: 10000 })
+    await db.put('a!%b', 'value', { ttl: 10000 })
+    await db.put('bar', 'barvalue')
+    should(await db.verify()).deepEqual(consistent)
+  })
+
+  it('should fix inconsistencies in a sub store', async () => {
+    const db = level()
+    const sub = db.sublevel('meta')
+    const ttldb = ttl(db, { checkFrequency: 10000, sub })
+    const batch = inconsistentBatch('', 'x!')
+    const isData = ({ value }) => value.endsWith('value')
+    await db.batch(batch.filter(isData))
+    await sub.batch(batch.filter(op => !isData(op)))
+    should(await ttldb.verify({ fix: true, removeMissingData: true })).deepEqual(inconsistencies)
+    should(await ttldb.verify()).deepEqual(consistent)
+    const entries = await getDbEntries(sub)
+    entries.should.deepEqual([
+      { key: 'b', value: timestamp(later) },
+      { key: 'c', value: timestamp(time) },
+      { key: `x!${timestamp(time)}!c`, value: 'c' },
+      { key: `x!${timestamp(later)}!b`, value: 'b' }
+    ])
+  })
+
+  it('should fix inconsistencies with a custom ttlEncoding', async () => {
+    const db = levelTtl({ checkFrequency: 10000, ttlEncoding: bytewise })
+    await db.put('a', 'avalue', { ttl: 10000 })
+    await db.put('c', 'cvalue', { ttl: 10000 })
+    await db.ttl('d', 10000)
+    const cTime = await db.getExpiry('c')
+    await db._ttl.batch([
+      { type: 'del', key: bwEncode(['ttl', 'a']) },
+      { type: 'del', key: bwEncode(['ttl', 'x', cTime, 'c']) }
+    ], { keyEncoding: 'binary' })
+    should(await db.verify({ fix: true, removeMissingData: true })).deepEqual({ ...consistent, orphanedExpiryRecords: 1, missingExpiryRecords: 1, missingData: 1 })
+    should(await db.verify()).deepEqual(consistent)
+    const entries = await getDbEntries(db, { keyEncoding: 'binary', valueEncoding: 'binary' })
+    entries.length.should.equal(2 + 2)
+    contains(entries, bwEncode(['ttl', 'x', cTime, 'c']), bwEncode('c'))
+    should(await db.getExpiry('a')).be.undefined()
+  })
 })
 
 describe('stop', () => {
@@ -466,7 +2593,7 @@ describe('stop', () => {
 
     const db = levelTtl({ checkFrequency: 50 })
     intervals.should.equal(1)
-    await db.put('foo', 'bar1', { ttl: 25 })
+    await db.put('foo', 'bar1', { ttl: 60 })
     await wait(40)
     const res = await db.get('foo')
     should(res).equal('bar1')
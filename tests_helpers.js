@@ -110,6 +110,31 @@ export function randomPutBatch (length) {
   return batch
 }
 
+// Timestamps as written by the default ttl encoding
+export const timestamp = date => String(+date).padStart(16, '0')
+
+// A clock that only moves forward when told to, and whose timers never fire
+// on their own, so that expiry checks are only run by db.sweep() or tick()
+export function createClock (time = Date.now()) {
+  const timeouts = []
+  const intervals = new Map()
+  let lastId = 0
+  return {
+    now: () => time,
+    advance: ms => { time += ms },
+    timeouts,
+    intervals,
+    tick: () => Promise.all(Array.from(intervals.values(), ({ fn }) => fn())),
+    setTimeout: (fn, delay) => timeouts.push(delay),
+    clearTimeout: () => {},
+    setInterval: (fn, delay) => {
+      intervals.set(++lastId, { fn, delay })
+      return lastId
+    },
+    clearInterval: id => intervals.delete(id)
+  }
+}
+
 export const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
 
 export function shouldNotBeCalled (res) {